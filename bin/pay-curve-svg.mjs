@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+// pay-curve-svg.mjs
+/**
+MIT License
+
+Copyright (c) 2025 David Chovanec
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/**
+ * Render the pay acceleration chart of a plan file to a standalone SVG file, e.g. for the emailed statements:
+ *
+ *     node bin/pay-curve-svg.mjs plan.json statement.svg --width 600 --height 400 --attainment 118
+ *
+ * The plan file is the JSON of the chart `data` attribute, or the CSV rows of the bands. The options
+ * are named after the chart attributes, the SVG file is named after the plan file if not given.
+ */
+import { readFile, writeFile } from "node:fs/promises";
+import { basename } from "node:path";
+import { parseArgs } from "node:util";
+import { PayPlan } from "../components/pay-plan.mjs";
+import { PayCurveRenderer } from "../components/pay-curve-renderer.mjs";
+
+const usage = `Usage: node bin/pay-curve-svg.mjs <plan.json> [chart.svg] [options]
+
+Options:
+  --width <px>              width of the chart, 400 by default
+  --height <px>             height of the chart, 300 by default
+  --title <text>            title drawn above the chart
+  --id <name>               name of the chart unique in the document, the SVG file name by default
+  --table                   add the table of the bands below the chart
+  --zones                   shade the band zones and add their legend
+  --theme <light|dark>      the built-in theme, light by default
+  --lang <locale>           locale of the numbers, e.g. de-DE
+  --dir <ltr|rtl>           text direction
+  --quota <amount>          bookings at 100% attainment, currency mode
+  --target-incentive <amt>  payout at 100% payout, currency mode
+  --currency <code>         ISO 4217 code of the amounts, USD by default
+  --attainment <percent>    actual attainment marker
+  --target <percent>        target attainment marker
+  --forecast <percent>      forecast attainment marker
+  --x-min, --x-max <percent>, --y-max <percent>   axis ranges
+  --ticks <breakpoints|nice|both>                 values of the axis labels`;
+
+const numbers = ["width", "height", "quota", "target-incentive", "attainment", "target", "forecast", "x-min", "x-max", "y-max"];
+const sizes = ["width", "height"];
+const texts = ["title", "id", "theme", "lang", "dir", "currency", "ticks"];
+
+/**
+ * Parse a number option
+ * @param {Object<string, string>} values - The option values
+ * @param {string} name - The option name
+ * @returns {number|undefined} The number, undefined if the option isn't set
+ */
+function number(values, name) {
+    if (values[name] === undefined) {
+        return undefined;
+    }
+    const value = parseFloat(values[name]);
+    if (!Number.isFinite(value)) {
+        throw new Error(`--${name} must be a number`);
+    }
+    if (sizes.includes(name) && value <= 0) {
+        throw new Error(`--${name} must be greater than 0`);
+    }
+    return value;
+}
+
+try {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            ...Object.fromEntries([...numbers, ...texts].map((name) => [name, { type: "string" }])),
+            table: { type: "boolean" },
+            zones: { type: "boolean" },
+            help: { type: "boolean", short: "h" }
+        }
+    });
+    if (values.help || positionals.length === 0 || positionals.length > 2) {
+        console.log(usage);
+        process.exit(values.help ? 0 : 1);
+    }
+    const [input, output = input.replace(/\.(json|csv|txt)$/i, "") + ".svg"] = positionals;
+
+    // The same formats as the data attribute: the plan JSON or the CSV rows of the bands
+    const text = await readFile(input, "utf8");
+    const data = /^\s*[{[]/.test(text) ? JSON.parse(text) : PayPlan.fromCSV(text);
+    const problems = PayCurveRenderer.validate(data);
+    if (problems.length > 0) {
+        console.error(`Invalid pay plan data in ${input}:`);
+        problems.forEach((problem) => console.error(`  ${PayCurveRenderer.formatProblem(problem)}`));
+        process.exit(1);
+    }
+
+    const renderer = new PayCurveRenderer(data, {
+        width: number(values, "width"),
+        height: number(values, "height"),
+        locale: values.lang,
+        dir: values.dir,
+        quota: number(values, "quota"),
+        targetIncentive: number(values, "target-incentive"),
+        currency: values.currency,
+        attainment: number(values, "attainment"),
+        target: number(values, "target"),
+        forecast: number(values, "forecast"),
+        xMin: number(values, "x-min"),
+        xMax: number(values, "x-max"),
+        yMax: number(values, "y-max"),
+        ticks: values.ticks,
+        zones: values.zones
+    });
+    // Several statements may go into one email, the file name keeps their ids and styles apart
+    const id = values.id ?? basename(output).replace(/\.svg$/i, "").replace(/[^\w-]/g, "-").replace(/^(?![a-z])/i, "chart-");
+    await writeFile(output, renderer.toSVGString({ title: values.title, table: values.table, theme: values.theme, id }));
+    console.log(`Wrote ${output}`);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
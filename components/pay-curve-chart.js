@@ -22,25 +22,108 @@ LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
 OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
 SOFTWARE.
 */
+import { PayPlan } from "./pay-plan.mjs";
+import { PayCurveRenderer } from "./pay-curve-renderer.mjs";
+
 class PayAccelerationChart extends HTMLElement {
-    /** 
-     * attainment percentages - displayed on the X axis
-     * @type {Array} */
-    #labels
     /**
-     * payout percentages - displayed on the Y axis
-     * @type {Array} */
-    #values;
+     * The plan data, see the `data` property
+     * @type {Object} */
+    #data;
     /**
-     * The padding in local coordinates.
-     * @typedef {Object} ElementPadding
-     * @property {number} left - space on the left of the chart area - includes the Y-axis labels
-     * @property {number} right - space on the right of the chart area
-     * @property {number} top - space on the top of the chart area
-     * @property {number} bottom - space on the bottom of the chart area - includes the X-axis labels
-     */
-    /** @type {ElementPadding} */
-    #padding;
+     * the data attribute value parsed last, a reconnected element parses the attribute only when it changed
+     * @type {?string} */
+    #parsedData = null;
+    /**
+     * Draws the SVG of the chart, the scale and the formatting of the last render
+     * @type {PayCurveRenderer} */
+    #renderer;
+    /**
+     * indexes of the plans hidden from the legend, the plans may share a name
+     * @type {Set<number>} */
+    #hidden = new Set();
+    /**
+     * attainment the crosshair is currently placed at, null when hidden
+     * @type {?number} */
+    #cursor = null;
+    /**
+     * the band under the crosshair, null when hidden or below the first band
+     * @type {?{index: number, band: PayBand}} */
+    #hoveredBand = null;
+    /**
+     * attainment of the point selected by a click or the Enter key, null when nothing is selected
+     * @type {?number} */
+    #selected = null;
+    /**
+     * the last pointer press dragged an edit handle, the click after it doesn't select a point
+     * @type {boolean} */
+    #dragged = false;
+    /**
+     * sizes the chart to the element width in the responsive mode, null otherwise
+     * @type {?ResizeObserver} */
+    #resizeObserver = null;
+    /**
+     * the animation frame of the scheduled render, null when no render is pending
+     * @type {?number} */
+    #renderFrame = null;
+    /**
+     * the running transition of the chart nodes to the new coordinates, null when not animating
+     * @type {?{frame: number, tweens: Array<{node: Element, name: string, value: Function, to: string}>}} */
+    #animation = null;
+    /**
+     * attainments of the measures set in the blend inputs, null until changed - the `attainment` of the measures
+     * @type {?Array<number>} */
+    #blend = null;
+    /**
+     * the band boundary or the band rate dragged in the editable mode, null when not dragging
+     * @type {?{kind: string, index: number, attainment: number, changed: boolean}} */
+    #drag = null;
+    /**
+     * problems found in the data attribute, the error state is rendered instead of the chart
+     * @type {Array<{index: ?number, field: ?string, message: string}>} */
+    #errors = [];
+    /**
+     * the plan is being loaded from the src URL, the loading state is rendered instead of the chart
+     * @type {boolean} */
+    #loading = false;
+    /**
+     * Pending requests of the plans by the URL, the charts pointed at the same URL share one request
+     * @type {Map<string, Promise<string>>} */
+    static #requests = new Map();
+    /**
+     * The stylesheet adopted by all the charts, null where the constructable stylesheets aren't supported,
+     * undefined until the first chart is rendered
+     * @type {?CSSStyleSheet|undefined} */
+    static #sharedSheet;
+    /**
+     * the size of this chart adopted after the shared stylesheet, null until the first render
+     * @type {?CSSStyleSheet} */
+    #sizeSheet = null;
+    /**
+     * the size rule applied last, the stylesheet is replaced only when the size changes
+     * @type {?string} */
+    #sizeRule = null;
+    /**
+     * The root font size read in this frame, shared by all the charts, null until read
+     * @type {?number} */
+    static #rootFontSize = null;
+    /**
+     * The theme custom properties resolved in this frame for the sparklines, by the theme and the element
+     * class and style overriding them, shared by all the charts
+     * @type {Map<string, Object<string, string>>} */
+    static #resolvedColors = new Map();
+    /**
+     * Observes the charts with `loading="lazy"` entering and leaving the viewport, shared by all the charts
+     * @type {?IntersectionObserver} */
+    static #viewObserver = null;
+    /**
+     * the lazy chart is outside the viewport, the renders wait until it scrolls into view
+     * @type {boolean} */
+    #offscreen = false;
+    /**
+     * a render was skipped while the lazy chart was outside the viewport
+     * @type {boolean} */
+    #stale = false;
 
     /**
      * Constructor for the BarChart component
@@ -50,17 +133,21 @@ class PayAccelerationChart extends HTMLElement {
         this.attachShadow({ mode: "open" }); // Attach a Shadow DOM
 
         // Initialize the defaults
-        this.data = { bands: [] };
-        this.#labels = [];
-        this.#values = [];
+        this.#data = { bands: [] };
         this.width = 400; // Default width
         this.height = 300; // Default height
-
-        // Use the root element font size to set the padding
-        const oneRem = parseFloat(
-            getComputedStyle(document.documentElement).fontSize
-        );
-        this.#padding = { left: oneRem * 4, right: oneRem, top: 0, bottom: oneRem * 3 };
+        this.attainment = null; // Actual attainment - "you are here" marker
+        this.target = null; // Target attainment - ghost marker
+        this.forecast = null; // Forecast attainment - ghost marker
+        this.quota = null; // Bookings at 100% attainment - currency mode
+        this.targetIncentive = null; // Payout at 100% payout - currency mode
+        this.currency = "USD"; // ISO 4217 code of the amounts in currency mode
+        this.labels = {}; // Translations of the rendered text, override the default labels
+        this.xMin = null; // Attainment at the start of the X axis - zoom
+        this.xMax = null; // Attainment at the end of the X axis, after the last breakpoint if not set
+        this.yMax = null; // Payout at the top of the Y axis, the highest payout if not set
+        this.population = null; // Attainments of the reps - the histogram under the curve
+        this.#generateChartData();
     }
 
     /**
@@ -70,24 +157,405 @@ class PayAccelerationChart extends HTMLElement {
         // Read attributes when the component is connected to the DOM
         this.width = parseInt(this.getAttribute("width") || 400, 10);
         this.height = parseInt(this.getAttribute("height") || 300, 10);
+        PayAccelerationChart.#markers.forEach((name) => {
+            this[name] = this.#parseMarker(this.getAttribute(name));
+        });
+        this.quota = this.#parseAmount(this.getAttribute("quota"));
+        this.targetIncentive = this.#parseAmount(this.getAttribute("target-incentive"));
+        this.currency = this.#parseCurrency(this.getAttribute("currency"));
+        this.labels = this.#parseLabels(this.getAttribute("labels"));
+        this.population = this.#parsePopulation(this.getAttribute("population"));
+        Object.entries(PayAccelerationChart.#ranges).forEach(([name, property]) => {
+            this[property] = this.#parseMarker(this.getAttribute(name));
+        });
         const dataAttribute = this.getAttribute("data");
-        if (dataAttribute) {
-            try {
-                this.data = JSON.parse(dataAttribute);
-            } catch (error) {
-                console.error("Invalid data attribute:", error);
-                this.data = { bands: [] };; // Fallback to empty array
+        if (dataAttribute && !this.hasAttribute("src") && dataAttribute !== this.#parsedData) {
+            this.#parseData(dataAttribute);
+        }
+        if (Object.hasOwn(this, "data")) {
+            // Assigned before the element was defined, the own property would hide the accessor
+            const value = this.data;
+            delete this.data;
+            this.data = value;
+        }
+        this.#observeSize();
+        this.#observeView();
+        if (this.#offscreen) {
+            this.#stale = true; // Rendered when it scrolls into view
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * Called when the component is disconnected from the DOM
+     */
+    disconnectedCallback() {
+        this.#resizeObserver?.disconnect();
+        this.#resizeObserver = null;
+        PayAccelerationChart.#viewObserver?.unobserve(this);
+        this.#offscreen = false;
+    }
+
+    /**
+     * Defer the renders of the chart with `loading="lazy"` until it is near the viewport,
+     * all the lazy charts share one IntersectionObserver
+     * @private
+     */
+    #observeView() {
+        if (this.getAttribute("loading") !== "lazy" || typeof IntersectionObserver === "undefined") {
+            return;
+        }
+        PayAccelerationChart.#viewObserver ??= new IntersectionObserver((entries) => {
+            entries.forEach((entry) => entry.target.#setOffscreen(!entry.isIntersecting));
+        }, { rootMargin: "200px" }); // Render just before the chart scrolls in
+        this.#offscreen = true; // Until the observer reports the chart in the viewport
+        PayAccelerationChart.#viewObserver.observe(this);
+    }
+
+    /**
+     * Update the visibility of the lazy chart, render the changes skipped while it was outside the viewport
+     * @param {boolean} offscreen - The chart is outside the viewport
+     * @private
+     */
+    #setOffscreen(offscreen) {
+        this.#offscreen = offscreen;
+        if (!offscreen && this.#stale) {
+            this.#stale = false;
+            this.render();
+        }
+    }
+
+    /**
+     * The root font size in pixels, read once a frame for all the charts - reading the computed style
+     * of the page in each of hundreds of charts recalculates the styles each time
+     * @type {number}
+     * @private
+     */
+    static get #fontSize() {
+        if (PayAccelerationChart.#rootFontSize === null) {
+            PayAccelerationChart.#rootFontSize = parseFloat(getComputedStyle(document.documentElement).fontSize);
+            requestAnimationFrame(() => PayAccelerationChart.#rootFontSize = null); // The page may change it later
+        }
+        return PayAccelerationChart.#rootFontSize;
+    }
+
+    /**
+     * The theme custom properties of the chart, read once a frame for all the charts with the same theme,
+     * class and style - the sparklines of a dashboard would each recalculate the styles otherwise
+     * @type {Object<string, string>}
+     * @private
+     */
+    get #themeColors() {
+        const colors = PayAccelerationChart.#resolvedColors;
+        const key = [this.getAttribute("theme"), this.className, this.getAttribute("style")].join("|");
+        if (!colors.has(key)) {
+            if (colors.size === 0) {
+                requestAnimationFrame(() => colors.clear()); // The page may change them later
             }
-            this.#generateChartData();
+            const style = getComputedStyle(this);
+            colors.set(key, Object.fromEntries(Object.keys(PayCurveRenderer.themeValues())
+                .map((name) => [name, style.getPropertyValue(name).trim()])
+                .filter(([, value]) => value)));
         }
-        this.render();
+        return colors.get(key);
     }
 
     /**
      * Define the attributes that the component will observe for changes
      */
     static get observedAttributes() {
-        return ["data", "width", "height"];
+        return ["data", "src", "width", "height", "quota", "target-incentive", "currency", "labels",
+            "lang", "dir", "responsive", "variant", "loading",
+            "editable", "ticks", "population", "population-style", "zones", ...Object.keys(PayAccelerationChart.#ranges), ...PayAccelerationChart.#markers];
+    }
+
+    /**
+     * The axis range attributes and their properties
+     * @type {Object<string, string>}
+     */
+    static #ranges = { "x-min": "xMin", "x-max": "xMax", "y-max": "yMax" };
+
+    /**
+     * Attainment markers drawn on the curve, in the drawing order
+     * @type {Array<string>}
+     */
+    static #markers = PayCurveRenderer.markers;
+
+    /**
+     * Get the styles selecting the theme by the `theme` attribute: light by default, dark,
+     * or auto following the prefers-color-scheme of the page. The printed chart is always light.
+     * @returns {string} The CSS rules of the themes
+     * @private
+     */
+    static get #themeStyles() {
+        const themes = PayCurveRenderer.themes;
+        return `
+      :host {${themes.light}
+      }
+      :host([theme="dark"]) {${themes.dark}
+      }
+      @media (prefers-color-scheme: dark) {
+          :host([theme="auto"]) {${themes.dark}
+          }
+      }
+      @media print {
+          :host,
+          :host([theme]) {${themes.light}
+              break-inside: avoid;
+          }
+      }`;
+    }
+
+    /**
+     * Start or stop sizing the chart to the element width, the `responsive` attribute enables it
+     * 
+     * The width follows the container, the height keeps the ratio of the `width` and `height` attributes.
+     * 
+     * @private
+     */
+    #observeSize() {
+        // Without the ResizeObserver, e.g. in a DOM outside the browser, the chart keeps the attribute width
+        if (!this.hasAttribute("responsive") || !this.isConnected || typeof ResizeObserver === "undefined") {
+            this.#resizeObserver?.disconnect();
+            this.#resizeObserver = null;
+            return;
+        }
+        this.#resizeObserver ??= new ResizeObserver(([entry]) => this.#resize(entry.contentRect.width));
+        this.#resizeObserver.observe(this);
+    }
+
+    /**
+     * Resize the chart to the given width, keeping the aspect ratio of the `width` and `height` attributes
+     * @param {number} width - The new width in pixels
+     * @private
+     */
+    #resize(width) {
+        const ratio = parseInt(this.getAttribute("height") || 300, 10) / parseInt(this.getAttribute("width") || 400, 10);
+        width = Math.floor(width);
+        const height = Math.round(width * ratio);
+        if (width <= 0 || (width === this.width && height === this.height)) {
+            return;
+        }
+        this.width = width;
+        this.height = height;
+        this.render();
+    }
+
+    /**
+     * Parse the attainment marker attribute value
+     * @param {?string} value - The attribute value
+     * @returns {?number} The attainment percentage or null if the marker is not set
+     * @private
+     */
+    #parseMarker(value) {
+        const attainment = parseFloat(value);
+        return Number.isFinite(attainment) ? attainment : null;
+    }
+
+    /**
+     * Parse the population attribute value - the attainments of the reps as a JSON array
+     * or separated by commas or spaces, e.g. pasted from a spreadsheet column
+     * @param {?string} value - The attribute value
+     * @returns {?Array<number>} The attainment percentages, null if not set
+     * @private
+     */
+    #parsePopulation(value) {
+        if (!value?.trim()) {
+            return null;
+        }
+        let values;
+        try {
+            values = [].concat(JSON.parse(value));
+        } catch {
+            values = value.split(/[\s,;]+/).filter((item) => item !== "");
+        }
+        const attainments = values.map(Number).filter((attainment) => Number.isFinite(attainment) && attainment >= 0);
+        return attainments.length > 0 ? attainments : null;
+    }
+
+    /**
+     * Parse the quota or the target incentive attribute value
+     * @param {?string} value - The attribute value
+     * @returns {?number} The positive amount or null if the amount is not set
+     * @private
+     */
+    #parseAmount(value) {
+        const amount = parseFloat(value);
+        return Number.isFinite(amount) && amount > 0 ? amount : null;
+    }
+
+    /**
+     * Parse the currency attribute value
+     * @param {?string} value - The attribute value - an ISO 4217 currency code
+     * @returns {string} The currency code, USD when not set or not supported
+     * @private
+     */
+    #parseCurrency(value) {
+        if (!value) {
+            return "USD";
+        }
+        try {
+            new Intl.NumberFormat(undefined, { style: "currency", currency: value });
+            return value.toUpperCase();
+        } catch (error) {
+            console.error(`Invalid currency attribute: ${value}`);
+            return "USD";
+        }
+    }
+
+    /**
+     * Parse the labels attribute value
+     * @param {?string} value - The attribute value - JSON object with the translated labels
+     * @returns {Object<string, string>} The labels overriding the defaults
+     * @private
+     */
+    #parseLabels(value) {
+        if (!value) {
+            return {};
+        }
+        try {
+            const labels = JSON.parse(value);
+            return labels !== null && typeof labels === "object" ? labels : {};
+        } catch (error) {
+            console.error(`Invalid labels attribute: ${error.message}`);
+            return {};
+        }
+    }
+
+    /**
+     * Parse and validate the data attribute
+     * 
+     * The data is the plan JSON, or the CSV rows of the bands (`min,max,rate`) when it doesn't start
+     * with `{` or `[`. Invalid data dispatches the `invalid-data` event with the list of the problems
+     * and the error state is rendered instead of the chart.
+     * 
+     * @param {string} value - The data attribute value - the plan JSON or CSV
+     * @private
+     */
+    #parseData(value) {
+        this.#parsedData = value;
+        const json = /^\s*[{[]/.test(value);
+        try {
+            this.#setData(json ? JSON.parse(value) : PayPlan.fromCSV(value));
+        } catch (error) {
+            this.#setData({ bands: [] }, // Fallback to empty array
+                [{ index: null, field: "data", message: `invalid ${json ? "JSON" : "CSV"}: ${error.message}` }]);
+        }
+    }
+
+    /**
+     * The plan data: the `bands` with the optional `cap`, `floor`, `gates` and `metrics`,
+     * the compared `plans` or the weighted `measures`, and the optional `annotations`
+     * 
+     * Setting the data validates it and renders the chart in the next frame, like the `data` attribute.
+     * The attribute isn't updated.
+     * 
+     * @type {Object}
+     */
+    get data() {
+        return this.#data;
+    }
+
+    set data(value) {
+        this.#setData(value);
+        this.#requestRender();
+    }
+
+    /**
+     * Set and validate the plan data, generate the chart data and dispatch the `data-change` event
+     * @param {Object} data - The plan data
+     * @param {Array<{index: ?number, field: ?string, message: string}>} [errors] - The problems already found,
+     *          the data is validated if not given
+     * @private
+     */
+    #setData(data, errors = PayCurveRenderer.validate(data)) {
+        this.#data = data;
+        this.#errors = errors;
+        this.#blend = null;
+        this.#hidden.clear(); // The indexes of the old plans
+        this.#reportErrors();
+        this.#generateChartData();
+        this.dispatchEvent(new CustomEvent("data-change", {
+            detail: { data },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    /**
+     * Dispatch the `invalid-data` event when problems were found in the data
+     * @private
+     */
+    #reportErrors() {
+        if (this.#errors.length > 0) {
+            console.error("Invalid data attribute:", this.#errors);
+            this.dispatchEvent(new CustomEvent("invalid-data", {
+                detail: { errors: this.#errors },
+                bubbles: true,
+                composed: true
+            }));
+        }
+    }
+
+    /**
+     * Load the plan from the src attribute URL
+     * 
+     * The loading state is rendered until the response arrives. The response is parsed like the data
+     * attribute, JSON or CSV, and the `load` event is dispatched with the plan data. A failed request
+     * renders the error state and dispatches the `invalid-data` event with the `src` problem.
+     * 
+     * @param {string} url - The URL of the plan
+     * @private
+     */
+    #load(url) {
+        this.#loading = true;
+        this.#errors = [];
+        PayAccelerationChart.#fetchPlan(url).then((text) => {
+            if (this.getAttribute("src") !== url) {
+                return; // A newer plan is loading
+            }
+            this.#loading = false;
+            this.#parseData(text);
+            this.render();
+            if (this.#errors.length === 0) {
+                this.dispatchEvent(new CustomEvent("load", {
+                    detail: { data: this.data },
+                    bubbles: true,
+                    composed: true
+                }));
+            }
+        }, (error) => {
+            if (this.getAttribute("src") !== url) {
+                return;
+            }
+            this.#loading = false;
+            this.#errors = [{ index: null, field: "src", message: `failed to load ${url}: ${error.message}` }];
+            this.#reportErrors();
+            this.render();
+        });
+    }
+
+    /**
+     * Fetch the plan text, the concurrent requests of the same URL share one request
+     * @param {string} url - The URL of the plan, relative to the document
+     * @returns {Promise<string>} The response text
+     * @private
+     */
+    static #fetchPlan(url) {
+        const href = new URL(url, document.baseURI).href;
+        if (!PayAccelerationChart.#requests.has(href)) {
+            const request = window.fetch(href)
+                .then((response) => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.text();
+                })
+                .finally(() => PayAccelerationChart.#requests.delete(href));
+            PayAccelerationChart.#requests.set(href, request);
+        }
+        return PayAccelerationChart.#requests.get(href);
     }
 
     /**
@@ -99,374 +567,1709 @@ class PayAccelerationChart extends HTMLElement {
      */
     attributeChangedCallback(name, oldValue, newValue) {
         if (name === "data" && newValue) {
-            try {
-                this.data = JSON.parse(newValue);
-            } catch (error) {
-                console.error("Invalid data attribute:", error);
-                this.data = { bands: [] };; // Fallback to empty array
+            this.#parseData(newValue);
+        } else if (name === "src" && newValue) {
+            this.#load(newValue);
+        } else if (name === "src") {
+            // Removed: the pending request is ignored and the data attribute is the plan again
+            this.#loading = false;
+            if (this.hasAttribute("data")) {
+                this.#parseData(this.getAttribute("data"));
+            }
+        } else if (name === "loading") {
+            // Observed again with the new loading mode
+            PayAccelerationChart.#viewObserver?.unobserve(this);
+            this.#offscreen = false;
+            if (this.isConnected) {
+                this.#observeView();
             }
-            this.#generateChartData();
         } else if (name === "width" && newValue) {
             this.width = parseInt(newValue, 10);
+            this.#observeSize(); // The attributes set the aspect ratio in the responsive mode
         } else if (name === "height" && newValue) {
             this.height = parseInt(newValue, 10);
+            this.#observeSize();
+        } else if (name === "responsive") {
+            this.width = parseInt(this.getAttribute("width") || 400, 10);
+            this.height = parseInt(this.getAttribute("height") || 300, 10);
+            this.#observeSize();
+        } else if (name === "quota") {
+            this.quota = this.#parseAmount(newValue);
+        } else if (name === "target-incentive") {
+            this.targetIncentive = this.#parseAmount(newValue);
+        } else if (name === "currency") {
+            this.currency = this.#parseCurrency(newValue);
+        } else if (name === "labels") {
+            this.labels = this.#parseLabels(newValue);
+        } else if (name === "population") {
+            this.population = this.#parsePopulation(newValue);
+        } else if (PayAccelerationChart.#markers.includes(name)) {
+            this[name] = this.#parseMarker(newValue);
+            this.#generateChartData(); // The markers may extend the X axis
+        } else if (name in PayAccelerationChart.#ranges) {
+            this[PayAccelerationChart.#ranges[name]] = this.#parseMarker(newValue);
+            this.#generateChartData();
         }
-        this.render();
+        this.#requestRender();
     }
 
     /**
-     * Get the graph scale object
-     * @returns {Object} The scale object with x and y properties representing 
-     *                      scale across X and Y scales
+     * Schedule an animated render for the next frame, the changes made in the same frame are rendered once;
+     * the lazy chart outside the viewport renders when it scrolls into view
+     * @private
      */
-    get #scale() {
-        return {
-            x: (this.width - this.#padding.left - this.#padding.right) / this.#labels.at(-1),
-            y: (this.height - this.#padding.top - this.#padding.bottom) / this.#values.at(-1)
-        };
+    #requestRender() {
+        this.#renderFrame ??= requestAnimationFrame(() => {
+            this.#renderFrame = null;
+            if (this.#offscreen) {
+                this.#stale = true;
+                return;
+            }
+            this.render(true);
+        });
     }
 
     /**
-     * Get the X coordinate in the local coordinate system for the given attainment value
-     * @param {number} value - The attainment value to convert to the local coordinate system
-     * @returns {number} The X coordinate in the local coordinate system
-     * @private
+     * Whether the chart is mirrored for the right-to-left languages, set by the `dir` attribute
+     * @type {boolean}
      */
-    #cX(value) {
-        return this.#padding.left + value * this.#scale.x;
+    get #rtl() {
+        return this.closest("[dir]")?.dir === "rtl";
     }
 
     /**
-     * Get the Y coordinate in the local coordinate system for the given payout value
-     * @param {number} value - The payout value to convert to the local coordinate system
-     * @returns {number} The Y coordinate in the local coordinate system
+     * Get the translated text with the placeholders replaced
+     * @param {string} key - The label name, see the default labels
+     * @param {Object<string, string>} [values={}] - The formatted values of the `{name}` placeholders
+     * @returns {string} The text to render
      * @private
      */
-    #cY(value) {
-        return this.height - this.#padding.bottom - this.#padding.top - value * this.#scale.y;
+    #label(key, values = {}) {
+        const label = this.labels?.[key];
+        const text = typeof label === "string" ? label : PayCurveRenderer.defaultLabels[key]; // Not a translation, e.g. null
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder);
     }
 
     /**
      * Calculate the payout for a given attainment
      * @param {number} attainment - The attainment percentage
+     * @param {PayPlan} [plan] - The payout rules, the first plan or measure by default
      * @returns {number} The payout percentage
      * @private
      */
-    #calculatePayout(attainment) {
-        const bands = this.data.bands;
-        let payout = 0;
-        for (let band of bands) {
-            if (attainment > band.min) {
-                const range = band.max
-                    ? Math.min(attainment, band.max) - band.min
-                    : attainment - band.min;
-                payout += range * band.rate;
-            } else {
-                break; // Stop if attainment is below the current band's minimum
-            }
+    #calculatePayout(attainment, plan = this.#renderer.plan) {
+        return plan.payoutAt(attainment);
+    }
+
+    /**
+     * Calculate the payout for a given attainment
+     * @param {number} attainment - The attainment percentage
+     * @returns {number} The payout percentage
+     */
+    payoutAt(attainment) {
+        return this.#renderer.plan.payoutAt(attainment);
+    }
+
+    /**
+     * Calculate the attainment needed to reach a given payout
+     * @param {number} payout - The payout percentage
+     * @returns {number} The attainment percentage, Infinity if the payout can't be reached
+     */
+    inverse(payout) {
+        return this.#renderer.plan.inverse(payout);
+    }
+
+    /**
+     * Get the marginal payout rate at a given attainment
+     * @param {number} attainment - The attainment percentage
+     * @returns {number} The payout percentage paid for the next attainment percentage
+     */
+    marginalRate(attainment) {
+        return this.#renderer.plan.marginalRate(attainment);
+    }
+
+    /**
+     * Get the breakpoints of the pay curve - the points where the payout rate changes
+     * @returns {Array<{attainment: number, payout: number}>} The breakpoints sorted by attainment
+     */
+    breakpoints() {
+        return this.#renderer.plan.breakpoints();
+    }
+
+    /**
+     * Export the chart as a standalone SVG document
+     * 
+     * The styles are inlined with the custom properties resolved for the current theme,
+     * so the exported chart looks the same outside the component. The crosshair is left out.
+     * 
+     * @param {Object} [options] - The export options
+     * @param {string} [options.title] - Title drawn above the chart
+     * @param {boolean} [options.table=false] - Add the table of the bands below the chart
+     * @returns {string} The SVG markup
+     */
+    toSVGString({ title, table = false } = {}) {
+        if (this.#loading || this.#renderer.series.length === 0) {
+            throw new Error("The chart has no valid data to export");
+        }
+        // Resolve the theme custom properties on the element, the page overrides included
+        const style = getComputedStyle(this);
+        const properties = Object.fromEntries(Object.keys(PayCurveRenderer.themeValues())
+            .map((name) => [name, style.getPropertyValue(name).trim()])
+            .filter(([, value]) => value));
+        // The sparkline exports the full chart
+        const renderer = this.#sparkline ? this.#createRenderer(false) : this.#renderer;
+        return renderer.toSVGString({ title, table, properties });
+    }
+
+    /**
+     * Export the chart as a PNG image
+     * @param {number} [scale=2] - The pixel ratio of the image, 2 for the sharp image on the high density screens
+     * @param {Object} [options] - The export options, see `toSVGString()`
+     * @returns {Promise<Blob>} The PNG image
+     */
+    async toPNGBlob(scale = 2, options = {}) {
+        const url = URL.createObjectURL(new Blob([this.toSVGString(options)], { type: "image/svg+xml" }));
+        try {
+            const image = new Image();
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = () => reject(new Error("The chart image could not be loaded"));
+                image.src = url;
+            });
+            const canvas = document.createElement("canvas");
+            canvas.width = Math.round(image.naturalWidth * scale);
+            canvas.height = Math.round(image.naturalHeight * scale);
+            const context = canvas.getContext("2d");
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0);
+            return await new Promise((resolve, reject) => canvas.toBlob((blob) => blob
+                ? resolve(blob)
+                : reject(new Error("The chart image could not be encoded")), "image/png"));
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Download the chart as a file
+     * @param {string} [format="svg"] - The file format: svg or png
+     * @param {Object} [options] - The export options, see `toSVGString()`
+     * @param {string} [options.filename="pay-acceleration-chart"] - The file name without the extension
+     * @param {number} [options.scale=2] - The pixel ratio of the PNG image
+     * @returns {Promise<void>} Resolves when the download starts
+     */
+    async download(format = "svg", { filename = "pay-acceleration-chart", scale = 2, ...options } = {}) {
+        if (format !== "svg" && format !== "png") {
+            throw new Error(`Unsupported export format: ${format}`);
         }
-        return payout;
+        const blob = format === "png"
+            ? await this.toPNGBlob(scale, options)
+            : new Blob([this.toSVGString(options)], { type: "image/svg+xml" });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `${filename}.${format}`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url)); // After the download started
     }
 
     /**
      * Generate the chart data from the pay bands
      * 
-     * The chart data is generated from the pay bands. The #labels[] are the attainment
-     * percentages and the #values[] are the corresponding payout percentages.
+     * The renderer generates the curve points of each plan and the axes from the plan data
+     * and the current attributes, the invalid data draws no curve.
      * 
      * @private
      */
     #generateChartData() {
-        this.#labels = [];
-        this.#values = [];
-        const bands = this.data.bands;
-
-        // Ensure bands is an array
-        if (!Array.isArray(bands)) {
-            console.error("bands is not an array:", bands);
-        }
+        this.#renderer = this.#createRenderer();
+    }
 
-        bands.forEach((band, index) => {
-            this.#labels.push(band.min);
-            this.#values.push(this.#calculatePayout(band.min));
+    /**
+     * Create the renderer of the plan data with the current attributes
+     * @param {boolean} [sparkline] - Draw the compact sparkline, the `variant` attribute by default
+     * @returns {PayCurveRenderer} The renderer, drawing no curve for the invalid data
+     * @private
+     */
+    #createRenderer(sparkline = this.#sparkline) {
+        return new PayCurveRenderer(this.#errors.length > 0 ? { bands: [] } : this.data, {
+            width: this.width,
+            height: this.height,
+            fontSize: PayAccelerationChart.#fontSize,
+            locale: this.closest("[lang]")?.lang || navigator.language,
+            dir: this.#rtl ? "rtl" : "ltr",
+            quota: this.quota,
+            targetIncentive: this.targetIncentive,
+            currency: this.currency,
+            labels: this.labels,
+            attainment: this.attainment,
+            target: this.target,
+            forecast: this.forecast,
+            xMin: this.xMin,
+            xMax: this.xMax,
+            yMax: this.yMax,
+            ticks: this.getAttribute("ticks"),
+            population: this.population,
+            populationStyle: this.getAttribute("population-style"),
+            zones: this.hasAttribute("zones"),
+            sparkline,
+            hidden: this.#hidden
         });
+    }
 
-        // Add the last point 100% away from the last band minimum
-        const lastBand = bands[bands.length - 1];
-        if (lastBand) {
-            this.#labels.push(lastBand.min + 100);
-            this.#values.push(this.#calculatePayout(this.#labels[this.#labels.length - 1], bands));
+    /**
+     * Calculate the payout cost of the population - the reps in the `population` attribute - on the first plan
+     * @returns {?{count: number, total: number, median: number,
+     *            bands: Array<{min: number, max: number|undefined, count: number, share: number}>}}
+     *          The number of the reps, the total and the median payout percentage and the number and the share
+     *          of the reps in each band, null without the population
+     */
+    populationSummary() {
+        if (!this.population || this.#renderer.series.length === 0) {
+            return null;
         }
+        const payouts = this.population.map((attainment) => this.#calculatePayout(attainment)).sort((a, b) => a - b);
+        const middle = Math.floor(payouts.length / 2);
+        const count = payouts.length;
+        return {
+            count,
+            total: payouts.reduce((total, payout) => total + payout, 0),
+            median: count % 2 === 1 ? payouts[middle] : (payouts[middle - 1] + payouts[middle]) / 2,
+            bands: this.#renderer.plan.bands.map((band) => {
+                const reps = this.population.filter((attainment) => this.#renderer.plan.bandAt(attainment) === band).length;
+                return { min: band.min, max: band.max, count: reps, share: reps / count };
+            })
+        };
     }
 
     /**
-     * Draw the grid lines and labels for the X and Y axes
-     * @param {Element} svg - The SVG element to which the grid lines and labels are added
-     * @private
+     * Calculate the total payout of the weighted `measures`: the payout of each measure at its attainment
+     * weighted by the measure weight
+     * @param {Array<number>} [attainments] - The attainment percentage of each measure, the blend inputs by default
+     * @returns {?{total: number, measures: Array<{name: string, weight: number, attainment: number, payout: number,
+     *            contribution: number}>}} The total payout percentage and the payout and the weighted contribution
+     *          of each measure, null without the measures
      */
-    #drawGridLinesWithLabels(svg) {
-        const svgNS = "http://www.w3.org/2000/svg";
+    blendedPayout(attainments = this.#blendAttainments) {
+        const measures = this.#renderer.series.filter((series) => series.weight !== undefined);
+        if (measures.length === 0) {
+            return null;
+        }
+        const results = measures.map((series, index) => {
+            const attainment = attainments[index] ?? 100;
+            const payout = this.#calculatePayout(attainment, series.plan);
+            return { name: series.name, weight: series.weight, attainment, payout, contribution: payout * series.weight / 100 };
+        });
+        return { total: results.reduce((total, measure) => total + measure.contribution, 0), measures: results };
+    }
 
-        // Draw X-axis grid lines and labels
-        this.#labels.forEach((value, index) => {
-            const x = this.#cX(value);
+    /**
+     * The attainments of the measures in the blend inputs, the `attainment` of the measures in the data
+     * until changed, 100% if not set
+     * @type {Array<number>}
+     * @private
+     */
+    get #blendAttainments() {
+        return this.#blend ?? (this.data?.measures ?? []).map((measure) => measure?.attainment ?? 100);
+    }
 
-            // don't draw the last tick
-            if (index == this.#labels.length - 1) {
-                return;
+    /**
+     * Zoom the X axis to an attainment range, e.g. `zoom(80, 150)` where most of the reps land;
+     * sets the `x-min` and `x-max` attributes, call without the range to show the whole curve
+     * @param {number} [min] - The attainment at the start of the X axis
+     * @param {number} [max] - The attainment at the end of the X axis
+     */
+    zoom(min, max) {
+        [["x-min", min], ["x-max", max]].forEach(([name, value]) => {
+            if (value === undefined || value === null) {
+                this.removeAttribute(name);
+            } else {
+                this.setAttribute(name, value);
             }
-
-            // Grid line
-            const gridLine = document.createElementNS(svgNS, "line");
-            gridLine.setAttribute("x1", x);
-            gridLine.setAttribute("y1", this.#cY(this.#values[index]));
-            gridLine.setAttribute("x2", x);
-            gridLine.setAttribute("y2", this.#cY(0));
-            gridLine.classList.add("grid-line");
-            svg.appendChild(gridLine);
-
-            // Label
-            const text = document.createElementNS(svgNS, "text");
-            text.setAttribute("x", x);
-            text.setAttribute("y", this.#cY(0) + 20);
-            text.classList.add("axis-label", "x-axis-label");
-            text.textContent = `${value}%`;
-            svg.appendChild(text);
         });
+    }
 
-        // Draw Y-axis grid lines and labels
-        this.#values.forEach((value, index) => {
-            const y = this.#cY(value);
+    /**
+     * Create the combined view of the weighted measures: an attainment input for each measure
+     * with its payout, and the blended total payout, updated while typing
+     * @returns {Element} The blend element
+     * @private
+     */
+    #createBlend() {
+        const blend = document.createElement("div");
+        blend.classList.add("blend");
+        blend.setAttribute("part", "blend");
+        blend.setAttribute("role", "group");
+        blend.setAttribute("aria-label", this.#label("blend"));
+        const total = document.createElement("output");
+        total.classList.add("blend-total");
+        total.setAttribute("part", "blend-total");
+        const payouts = [];
 
-            // don't draw the last tick
-            if (index == this.#values.length - 1) {
-                return;
-            }
+        const update = () => {
+            const result = this.blendedPayout();
+            result.measures.forEach((measure, index) => {
+                payouts[index].textContent = this.#label("blendMeasure", { payout: this.#renderer.formatPayout(measure.payout) });
+            });
+            total.textContent = this.#label("blendTotal", { payout: this.#renderer.formatPayout(result.total) });
+            return result;
+        };
 
-            // Grid line
-            const gridLine = document.createElementNS(svgNS, "line");
-            gridLine.setAttribute("x1", this.#cX(0));
-            gridLine.setAttribute("y1", y);
-            gridLine.setAttribute("x2", this.#cX(this.#labels[index]));
-            gridLine.setAttribute("y2", y);
-            gridLine.classList.add("grid-line");
-            svg.appendChild(gridLine);
-
-            // Label
-            const text = document.createElementNS(svgNS, "text");
-            text.setAttribute("x", this.#cX(0) - 10);
-            text.setAttribute("y", y + 5);
-            text.classList.add("axis-label", "y-axis-label");
-            text.textContent = `${value}%`;
-            svg.appendChild(text);
+        this.blendedPayout().measures.forEach((measure, index) => {
+            const item = document.createElement("label");
+            item.classList.add("blend-measure", PayCurveRenderer.seriesClass(index));
+            item.setAttribute("part", "blend-measure");
+            const swatch = document.createElement("span");
+            swatch.classList.add("legend-swatch");
+            const input = document.createElement("input");
+            input.type = "number";
+            input.min = "0";
+            input.step = "any";
+            input.value = String(measure.attainment);
+            input.setAttribute("aria-label", `${measure.name} ${this.#label("attainment")}`);
+            input.addEventListener("input", () => {
+                const attainment = parseFloat(input.value);
+                if (!Number.isFinite(attainment) || attainment < 0) {
+                    return;
+                }
+                this.#blend = [...this.#blendAttainments];
+                this.#blend[index] = attainment;
+                this.dispatchEvent(new CustomEvent("blend-change", {
+                    detail: update(),
+                    bubbles: true,
+                    composed: true
+                }));
+            });
+            const payout = document.createElement("span");
+            payout.classList.add("blend-payout");
+            payouts.push(payout);
+            item.append(swatch, measure.name, input, "%", payout);
+            blend.appendChild(item);
         });
+        blend.appendChild(total);
+        update();
+        return blend;
     }
 
-    // Draw the chart using SVG
-    render() {
+    /**
+     * Create the cost summary of the population: the total and the median payout and the share of the reps
+     * in each band
+     * @returns {Element} The summary element
+     * @private
+     */
+    #createPopulationSummary() {
+        const summary = this.populationSummary();
+        const element = document.createElement("div");
+        element.classList.add("population-summary");
+        element.setAttribute("part", "population-summary");
+        const totals = document.createElement("p");
+        totals.textContent = this.#label("populationSummary", {
+            count: this.#renderer.numberFormat().format(summary.count),
+            total: this.#renderer.formatPayout(summary.total),
+            median: this.#renderer.formatPayout(summary.median)
+        });
+        element.appendChild(totals);
 
-        // check input parameters
-        if (!this.data || !this.data.bands || this.data.bands.length === 0
-            || !this.width || !this.height) {
-            // Don't render if the data is missing
-            this.shadowRoot.innerHTML = '';
-            return;
+        const list = document.createElement("ul");
+        summary.bands.forEach((band) => {
+            const min = this.#renderer.formatAttainment(band.min);
+            const item = document.createElement("li");
+            item.textContent = this.#label("populationBand", {
+                range: band.max === undefined
+                    ? this.#label("bandFrom", { min })
+                    : this.#label("bandRange", { min, max: this.#renderer.formatAttainment(band.max) }),
+                share: this.#renderer.formatPercent(band.share * 100)
+            });
+            list.appendChild(item);
+        });
+        element.appendChild(list);
+        return element;
+    }
+
+    /**
+     * Draw the crosshair and the tooltip, hidden until the pointer or keyboard moves the cursor
+     * @param {Element} svg - The SVG element to which the cursor is added
+     * @private
+     */
+    #drawCursor(svg) {
+        const svgNS = "http://www.w3.org/2000/svg";
+
+        const cursor = document.createElementNS(svgNS, "g");
+        cursor.classList.add("cursor");
+        cursor.setAttribute("visibility", "hidden");
+
+        ["crosshair-x", "crosshair-y"].forEach((name) => {
+            const line = document.createElementNS(svgNS, "line");
+            line.classList.add("crosshair", name);
+            line.setAttribute("part", "crosshair");
+            cursor.appendChild(line);
+        });
+
+        // A point snapped to the curve of each visible plan
+        this.#renderer.visibleSeries.forEach((series) => {
+            const point = document.createElementNS(svgNS, "circle");
+            point.setAttribute("r", 4);
+            point.classList.add("cursor-point", `cursor-point-${series.index}`, PayCurveRenderer.seriesClass(series.index));
+            cursor.appendChild(point);
+        });
+
+        const tooltip = document.createElementNS(svgNS, "g");
+        tooltip.classList.add("tooltip");
+        tooltip.setAttribute("part", "tooltip");
+        const box = document.createElementNS(svgNS, "rect");
+        box.setAttribute("rx", 3);
+        box.classList.add("tooltip-box");
+        tooltip.appendChild(box);
+        const text = document.createElementNS(svgNS, "text");
+        text.classList.add("tooltip-text");
+        const names = this.#renderer.series.length > 1
+            ? ["attainment", ...this.#renderer.visibleSeries.map((series) => `series-${series.index}`)]
+            : ["attainment", "payout", "rate"];
+        names.forEach((name) => {
+            const line = document.createElementNS(svgNS, "tspan");
+            line.classList.add(`tooltip-${name}`);
+            text.appendChild(line);
+        });
+        tooltip.appendChild(text);
+        cursor.appendChild(tooltip);
+
+        svg.appendChild(cursor);
+    }
+
+    /**
+     * Listen to the pointer and the keyboard on the chart, once for the SVG element added to the shadow root
+     * 
+     * The later renders are morphed into this element, so the listeners stay bound to the live chart.
+     * 
+     * @param {Element} svg - The SVG element added to the shadow root
+     * @private
+     */
+    #listenToChart(svg) {
+        // Track the pointer (mouse, pen and touch) over the chart area
+        svg.addEventListener("pointermove", (event) => this.#moveCursor(this.#attainmentAt(event, svg)));
+        svg.addEventListener("pointerdown", (event) => {
+            this.#dragged = false;
+            this.#moveCursor(this.#attainmentAt(event, svg));
+        });
+        svg.addEventListener("click", (event) => {
+            if (!this.#dragged) {
+                this.#select(this.#attainmentAt(event, svg));
+            }
+        });
+        svg.addEventListener("pointerleave", () => {
+            if (this.shadowRoot.activeElement !== svg) {
+                this.#moveCursor(null);
+            }
+        });
+
+        // Drag the band boundaries and the rates in the editable mode
+        svg.addEventListener("pointerdown", (event) => this.#startDrag(event, svg));
+        svg.addEventListener("pointermove", (event) => this.#dragTo(event, svg));
+        svg.addEventListener("pointerup", () => this.#endDrag());
+        svg.addEventListener("pointercancel", () => this.#endDrag());
+
+        // Step along the curve with the keyboard
+        svg.addEventListener("keydown", (event) => this.#onKeyDown(event));
+        svg.addEventListener("blur", () => this.#moveCursor(null));
+    }
+
+    /**
+     * Whether the bands can be edited by dragging - the `editable` attribute is set and the data is a single valid plan
+     * @type {boolean}
+     */
+    get #editable() {
+        return this.hasAttribute("editable") && this.data?.plans === undefined && this.data?.measures === undefined
+            && this.#errors.length === 0 && !this.#sparkline;
+    }
+
+    /**
+     * Whether the chart is drawn as the compact sparkline on a canvas - the `variant="sparkline"` attribute
+     * @type {boolean}
+     * @private
+     */
+    get #sparkline() {
+        return this.getAttribute("variant") === "sparkline";
+    }
+
+    /**
+     * Draw the compact sparkline on a canvas instead of the SVG, for the dashboards with hundreds of charts:
+     * the curves, the zones and the earned area without the axes, the labels and the interaction
+     * @private
+     */
+    #renderSparkline() {
+        let canvas = this.shadowRoot.querySelector("canvas");
+        if (!canvas) {
+            canvas = document.createElement("canvas");
+            canvas.classList.add("sparkline");
+            canvas.setAttribute("part", "sparkline");
+            canvas.setAttribute("role", "img");
+            this.shadowRoot.replaceChildren(canvas);
+        }
+        this.#applyStyles();
+
+        // Resolve the colors before the canvas is resized, the canvas doesn't read the custom properties
+        const colors = this.#themeColors;
+
+        // Sharp on the high density screens
+        const scale = window.devicePixelRatio || 1;
+        canvas.width = Math.round(this.width * scale);
+        canvas.height = Math.round(this.height * scale);
+        canvas.setAttribute("aria-label", `${this.#label("chartTitle")}: ${this.#renderer.summary()}`);
+        const context = canvas.getContext?.("2d");
+        if (context) {
+            context.setTransform(scale, 0, 0, scale, 0, 0);
+            this.#renderer.drawSparkline(context, colors);
         }
+    }
 
-        const payBands = this.data;
+    /**
+     * Draw the drag handles: a vertical line on each band boundary and a line along each band segment
+     * @param {Element} svg - The SVG element to which the handles are added
+     * @private
+     */
+    #drawEditHandles(svg) {
         const svgNS = "http://www.w3.org/2000/svg";
-        const oneRem = parseFloat(
-            getComputedStyle(document.documentElement).fontSize
-        );
-
-        // create the cotainer SVG element
-        const svg = document.createElementNS(svgNS, "svg");
-        svg.setAttribute("width", this.width);
-        svg.setAttribute("height", this.height);
-
-        // Define an arrowhead marker
-        const defs = document.createElementNS(svgNS, "defs");
-        const marker = document.createElementNS(svgNS, "marker");
-        marker.setAttribute("id", "arrowhead");
-        marker.setAttribute("markerWidth", "9");
-        marker.setAttribute("markerHeight", "5");
-        marker.setAttribute("refX", "7");
-        marker.setAttribute("refY", "2.5");
-        marker.setAttribute("orient", "auto");
-        const arrow = document.createElementNS(svgNS, "path");
-        arrow.setAttribute("d", "M0,0 L8,2.5 L0,5 Z");
-        marker.classList.add("arrow-marker");
-        marker.appendChild(arrow);
-        defs.appendChild(marker);
-        svg.appendChild(defs);
-
-        // Add X-axis title
-        const xAxisTitle = document.createElementNS(svgNS, "text");
-        xAxisTitle.setAttribute("x", this.#padding.left 
-            + (this.width - this.#padding.left - this.#padding.right) / 2); // Center the title label on the X-axis
-        xAxisTitle.setAttribute("y", this.height - oneRem / 3);
-        xAxisTitle.classList.add("axis-title");
-        xAxisTitle.textContent = "Attainment (%)";
-        svg.appendChild(xAxisTitle);
-
-        // Add Y-axis title
-        const yAxisTitle = document.createElementNS(svgNS, "text");
-        yAxisTitle.setAttribute("x",  
-            - (this.height - this.#padding.bottom - this.#padding.top) / 2);
-        yAxisTitle.setAttribute("y", 0);
-        yAxisTitle.setAttribute("transform", "rotate(-90)");
-        yAxisTitle.setAttribute("dominant-baseline", "hanging");
-        yAxisTitle.classList.add("axis-title");
-        yAxisTitle.textContent = "Payout (%)";
-        svg.appendChild(yAxisTitle);
-
-        // Draw X and Y axes
-        const xAxis = document.createElementNS(svgNS, "line");
-        xAxis.setAttribute("x1", this.#padding.left);
-        xAxis.setAttribute("y1", this.height - this.#padding.bottom);
-        xAxis.setAttribute("x2", this.width - this.#padding.right);
-        xAxis.setAttribute("y2", this.height - this.#padding.bottom);
-        xAxis.classList.add("axis");
-        svg.appendChild(xAxis);
-
-        const yAxis = document.createElementNS(svgNS, "line");
-        yAxis.setAttribute("x1", this.#padding.left);
-        yAxis.setAttribute("y1", this.#padding.top);
-        yAxis.setAttribute("x2", this.#padding.left);
-        yAxis.setAttribute("y2", this.height - this.#padding.bottom);
-        yAxis.classList.add("axis");
-        svg.appendChild(yAxis);
-
-        // Draw XY-axis grid lines and labels
-        this.#drawGridLinesWithLabels(svg);
-
-        if (this.data.hasgate) {
-            // Draw the no acceleration dashed line
-            const oneXLine = document.createElementNS(svgNS, "line");
-            oneXLine.setAttribute("x1", this.#cX(this.#labels[1]));
-            oneXLine.setAttribute("y1", this.#cY(this.#values[1]));
-            oneXLine.setAttribute("x2", this.#cX(this.#labels.at(-1)));
-            oneXLine.setAttribute("y2", this.#cY(this.#labels.at(-1)));
-            oneXLine.classList.add("one-x-line");
-            svg.appendChild(oneXLine);
-
-            // Draw the no acceleration dashed line label
-            const labelText = document.createElementNS(svgNS, "text");
-            labelText.setAttribute("x", this.#cX(this.#labels.at(-2)));
-            labelText.setAttribute("y", this.#cY(this.#labels.at(-2)) + oneRem);
-            labelText.classList.add("gate-label", "no-acceleration-label");
-            labelText.textContent = `gate not met`;
-            svg.appendChild(labelText);
-        }
-
-        // Draw the chart line and add band rate labels
-        const path = document.createElementNS(svgNS, "path");
-        let pathData = `M${this.#cX(0)},${this.#cY(0)}`;
-        this.#labels.forEach((label, index) => {
-            const x = this.#cX(label);
-            const y = this.#cY(this.#values[index]);
-            pathData += ` L${x},${y}`;
-
-            // Add band rate labels at the midpoint of each segment
-            if (index > 0) {
-                const prevX = this.#cX(this.#labels[index - 1]);
-                const prevY = this.#cY(this.#values[index - 1]);
-                const midX = (prevX + x) / 2;
-                const midY = (prevY + y) / 2;
-
-                // Find the corresponding band rate
-                const band = payBands.bands.find(
-                    (b) => label >= b.min && (b.max ? label <= b.max : true)
-                );
-                if (band) {
-                    const labelText = document.createElementNS(svgNS, "text");
-                    labelText.setAttribute("x", midX - 5);
-                    labelText.setAttribute("y", midY - 5); // Position above the line
-                    labelText.classList.add("band-rate-label");
-                    labelText.textContent = `${band.rate}x`;
-                    svg.appendChild(labelText);
-
-                    // Add Gate-met label in the first accelerating band
-                    if (this.data.hasgate && index === 2) {
-                        const gateText = document.createElementNS(svgNS, "text");
-                        gateText.setAttribute("x", this.#cX(0) + oneRem/2);
-                        gateText.setAttribute("y", midY - 5); // Position next to rate label
-                        gateText.classList.add("gate-label", "acceleration-label");
-                        gateText.textContent = `gate met`;
-                        svg.appendChild(gateText);
-                    }
+        const end = this.#renderer.xEnd;
+
+        this.#renderer.plan.bands.forEach((band, index) => {
+            // Only the bands inside the zoomed range
+            const min = Math.max(band.min, this.#renderer.xStart);
+            const max = Math.min(band.max ?? end, end);
+            if (max <= min) {
+                return;
+            }
+
+            // Band rate - drag the segment up or down
+            const segment = document.createElementNS(svgNS, "line");
+            segment.setAttribute("x1", this.#renderer.x(min));
+            segment.setAttribute("y1", this.#renderer.y(this.#calculatePayout(min)));
+            segment.setAttribute("x2", this.#renderer.x(max));
+            segment.setAttribute("y2", this.#renderer.y(this.#calculatePayout(max)));
+            segment.classList.add("edit-handle", "rate-handle");
+            segment.setAttribute("part", "rate-handle");
+            segment.dataset.edit = "rate";
+            segment.dataset.index = index;
+            svg.appendChild(segment);
+
+            // Band boundary - drag the grid line left or right
+            if (index > 0 && band.min >= this.#renderer.xStart) {
+                const boundary = document.createElementNS(svgNS, "line");
+                boundary.setAttribute("x1", this.#renderer.x(band.min));
+                boundary.setAttribute("y1", this.#renderer.padding.top);
+                boundary.setAttribute("x2", this.#renderer.x(band.min));
+                boundary.setAttribute("y2", this.#renderer.y(0));
+                boundary.classList.add("edit-handle", "breakpoint-handle");
+                boundary.setAttribute("part", "breakpoint-handle");
+                boundary.dataset.edit = "breakpoint";
+                boundary.dataset.index = index;
+                svg.appendChild(boundary);
+            }
+        });
+    }
+
+    /**
+     * Create the controls adding and removing the bands in the editable mode
+     * @returns {Element} The controls element
+     * @private
+     */
+    #createEditControls() {
+        const controls = document.createElement("div");
+        controls.classList.add("edit-controls");
+        controls.setAttribute("part", "edit-controls");
+        controls.setAttribute("role", "group");
+        controls.setAttribute("aria-label", this.#label("editControls"));
+        [["addBand", () => this.#addBand()], ["removeBand", () => this.#removeBand()]].forEach(([name, action]) => {
+            const button = document.createElement("button");
+            button.type = "button";
+            button.classList.add("edit-button", `edit-${name.replace(/[A-Z]/g, (letter) => "-" + letter.toLowerCase())}`);
+            button.textContent = this.#label(name);
+            button.disabled = name === "removeBand" && this.data.bands.length < 2;
+            button.addEventListener("click", action);
+            controls.appendChild(button);
+        });
+        return controls;
+    }
+
+    /**
+     * Start dragging the handle under the pointer
+     * @param {PointerEvent} event - The pointerdown event
+     * @param {Element} svg - The SVG element
+     * @private
+     */
+    #startDrag(event, svg) {
+        const handle = event.target.closest?.("[data-edit]");
+        if (!handle || !this.#editable) {
+            return;
+        }
+        event.preventDefault();
+        svg.setPointerCapture?.(event.pointerId);
+        this.#drag = {
+            kind: handle.dataset.edit,
+            index: Number(handle.dataset.index),
+            attainment: this.#attainmentAt(event, svg), // The segment is dragged at the grabbed point
+            changed: false
+        };
+    }
+
+    /**
+     * Move the dragged band boundary or change the dragged band rate
+     * 
+     * The boundary snaps to the attainment step and keeps the minimum width of both bands, so the bands
+     * stay contiguous. The rate is the slope from the band start to the pointer, snapped to the rate step.
+     * 
+     * @param {PointerEvent} event - The pointermove event
+     * @param {Element} svg - The SVG element
+     * @private
+     */
+    #dragTo(event, svg) {
+        if (!this.#drag) {
+            return;
+        }
+        const snap = PayAccelerationChart.#editSnap;
+        const data = structuredClone(this.data);
+        const bands = data.bands;
+        const { kind, index } = this.#drag;
+
+        if (kind === "breakpoint") {
+            const low = bands[index - 1].min + snap.width;
+            const high = (bands[index].max ?? Infinity) - snap.width;
+            const attainment = Math.round(this.#attainmentAt(event, svg) / snap.attainment) * snap.attainment;
+            const value = Math.min(Math.max(attainment, low), high);
+            if (value === bands[index].min) {
+                return;
+            }
+            bands[index - 1].max = value;
+            bands[index].min = value;
+        } else {
+            const rect = svg.getBoundingClientRect();
+            const y = (event.clientY - rect.top) * this.height / (rect.height || this.height);
+            const payout = (this.#renderer.y(0) - y) / this.#renderer.scale.y;
+            const band = bands[index];
+            const width = Math.max(this.#drag.attainment - band.min, 1);
+            const slope = (payout - this.#calculatePayout(band.min)) / width;
+            const rate = Number((Math.max(Math.round(slope / snap.rate) * snap.rate, 0)).toFixed(2));
+            if (rate === band.rate) {
+                return;
+            }
+            band.rate = rate;
+        }
+        this.#drag.changed = true;
+        this.#applyEdit(data, ["input"]);
+    }
+
+    /**
+     * Finish dragging, the `change` event reports the edited data
+     * @private
+     */
+    #endDrag() {
+        if (this.#drag?.changed) {
+            this.#dispatchEdit("change");
+            this.#dragged = true;
+        }
+        this.#drag = null;
+    }
+
+    /**
+     * Split the last band, the new open-ended band continues with the same rate
+     * @private
+     */
+    #addBand() {
+        const snap = PayAccelerationChart.#editSnap;
+        const data = structuredClone(this.data);
+        const last = data.bands.at(-1);
+        // Split halfway to the end of the chart, at least the minimum band width after the start
+        const middle = last.min + Math.max((this.#renderer.xEnd - last.min) / 2, snap.width);
+        last.max = Math.ceil(middle / snap.attainment) * snap.attainment;
+        data.bands.push({ min: last.max, rate: last.rate });
+        this.#applyEdit(data, ["input", "change"]);
+    }
+
+    /**
+     * Remove the last band, the previous band becomes open-ended
+     * @private
+     */
+    #removeBand() {
+        const data = structuredClone(this.data);
+        if (data.bands.length < 2) {
+            return;
+        }
+        data.bands.pop();
+        delete data.bands.at(-1).max;
+        this.#applyEdit(data, ["input", "change"]);
+    }
+
+    /**
+     * Apply the edited plan: update the data attribute, render and fire the edit events
+     * @param {Object} data - The edited plan data
+     * @param {Array<string>} events - The names of the events to dispatch: input and/or change
+     * @private
+     */
+    #applyEdit(data, events) {
+        this.setAttribute("data", JSON.stringify(data));
+        this.render(); // Follow the pointer without the animation
+        events.forEach((type) => this.#dispatchEdit(type));
+    }
+
+    /**
+     * Dispatch the edit event with the current plan data
+     * @param {string} type - The event name: input while editing, change when the edit is done
+     * @private
+     */
+    #dispatchEdit(type) {
+        this.dispatchEvent(new CustomEvent(type, {
+            detail: { data: this.data },
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    /**
+     * Convert the pointer position to the attainment under it
+     * @param {PointerEvent} event - The pointer event
+     * @param {Element} svg - The SVG element the pointer is over
+     * @returns {number} The attainment percentage, rounded to a whole percent
+     * @private
+     */
+    #attainmentAt(event, svg) {
+        const rect = svg.getBoundingClientRect();
+        // The SVG may be scaled by CSS, convert client pixels to local coordinates
+        const x = (event.clientX - rect.left) * this.width / (rect.width || this.width);
+        const renderer = this.#renderer;
+        const attainment = Math.round(renderer.xStart + renderer.dx(x - renderer.x(renderer.xStart)) / renderer.scale.x);
+        return Math.min(Math.max(attainment, renderer.xStart), renderer.xEnd);
+    }
+
+    /**
+     * Track the band under the crosshair, the `band-hover` event is dispatched when it changes
+     * @param {?number} attainment - The attainment percentage of the crosshair, null when hidden
+     * @private
+     */
+    #hoverBand(attainment) {
+        const plan = this.#renderer.visibleSeries[0]?.plan;
+        const band = attainment === null ? undefined : plan?.bandAt(attainment);
+        const index = band ? plan.bands.indexOf(band) : null;
+        const changed = index !== (this.#hoveredBand?.index ?? null);
+        this.#hoveredBand = band ? { index, band } : null;
+        if (changed) {
+            this.dispatchEvent(new CustomEvent("band-hover", {
+                detail: { index, band: band ?? null },
+                bubbles: true,
+                composed: true
+            }));
+        }
+    }
+
+    /**
+     * Select the point of the curve at the given attainment, dispatch the `band-click` event
+     * with the band there and the `point-select` event
+     * @param {number} attainment - The attainment percentage
+     * @private
+     */
+    #select(attainment) {
+        const plan = this.#renderer.visibleSeries[0]?.plan;
+        if (!plan || Number.isNaN(attainment)) {
+            return;
+        }
+        this.#selected = attainment;
+        this.render(); // Draw the selected point
+        const band = plan.bandAt(attainment);
+        if (band) {
+            this.dispatchEvent(new CustomEvent("band-click", {
+                detail: { index: plan.bands.indexOf(band), band, attainment },
+                bubbles: true,
+                composed: true
+            }));
+        }
+        this.dispatchEvent(new CustomEvent("point-select", {
+            detail: this.selectedPoint,
+            bubbles: true,
+            composed: true
+        }));
+    }
+
+    /**
+     * The band under the crosshair with its index, null when the crosshair is hidden
+     * @type {?{index: number, band: PayBand}}
+     */
+    get hoveredBand() {
+        return this.#hoveredBand;
+    }
+
+    /**
+     * The point selected by a click or the Enter key, null when nothing is selected;
+     * set the attainment to select a point, e.g. from a table row, without the events
+     * @type {?{attainment: number, payout: number}}
+     */
+    get selectedPoint() {
+        if (this.#selected === null) {
+            return null;
+        }
+        return { attainment: this.#selected, payout: this.#calculatePayout(this.#selected) };
+    }
+
+    set selectedPoint(point) {
+        const attainment = typeof point === "number" ? point : point?.attainment;
+        this.#selected = Number.isFinite(attainment) ? attainment : null;
+        this.#requestRender();
+    }
+
+    /**
+     * Draw the selected point on the curve of the first visible plan
+     * @param {Element} svg - The SVG element to which the point is added
+     * @private
+     */
+    #drawSelection(svg) {
+        const point = document.createElementNS("http://www.w3.org/2000/svg", "circle");
+        point.setAttribute("cx", this.#renderer.x(this.#selected));
+        point.setAttribute("cy", this.#renderer.y(this.#calculatePayout(this.#selected)));
+        point.setAttribute("r", 5);
+        point.classList.add("selected-point");
+        point.setAttribute("part", "selected-point");
+        svg.appendChild(point);
+    }
+
+    /**
+     * Handle the keyboard navigation along the curve
+     * 
+     * Arrow keys step by 1%, with Shift by 10%. Home and End jump to the ends of the chart.
+     * The left and right arrows follow the X axis, mirrored in the right-to-left layout.
+     * Enter and Space select the point under the crosshair.
+     * 
+     * @param {KeyboardEvent} event - The keydown event
+     * @private
+     */
+    #onKeyDown(event) {
+        const step = event.shiftKey ? 10 : 1;
+        const current = this.#cursor ?? 0;
+        const forward = this.#rtl ? "ArrowLeft" : "ArrowRight";
+        const backward = this.#rtl ? "ArrowRight" : "ArrowLeft";
+        let attainment;
+        switch (event.key) {
+            case forward:
+            case "ArrowUp":
+                attainment = current + step;
+                break;
+            case backward:
+            case "ArrowDown":
+                attainment = current - step;
+                break;
+            case "Home":
+                attainment = this.#renderer.xStart;
+                break;
+            case "End":
+                attainment = this.#renderer.xEnd;
+                break;
+            case "Escape":
+                this.#moveCursor(null);
+                return;
+            case "Enter":
+            case " ":
+                if (this.#cursor !== null) {
+                    event.preventDefault();
+                    this.#select(this.#cursor);
+                }
+                return;
+            default:
+                return;
+        }
+        event.preventDefault();
+        this.#moveCursor(Math.min(Math.max(attainment, this.#renderer.xStart), this.#renderer.xEnd));
+    }
+
+    /**
+     * Move the crosshair to the given attainment and update the tooltip
+     * @param {?number} attainment - The attainment percentage, null hides the cursor
+     * @private
+     */
+    #moveCursor(attainment) {
+        this.#cursor = attainment;
+        const cursor = this.shadowRoot.querySelector(".cursor");
+        if (!cursor) {
+            return;
+        }
+        const status = this.shadowRoot.querySelector(".cursor-status");
+        if (attainment === null || Number.isNaN(attainment)) {
+            this.#cursor = null;
+            cursor.setAttribute("visibility", "hidden");
+            status.textContent = "";
+            this.#hoverBand(null);
+            return;
+        }
+        this.#hoverBand(attainment);
+
+        // Snap the crosshair to the curve of the first visible plan
+        const visible = this.#renderer.visibleSeries;
+        const payout = visible[0].plan.payoutAt(attainment);
+        const rate = visible[0].plan.marginalRate(attainment);
+        const x = this.#renderer.x(attainment);
+        const y = this.#renderer.y(payout);
+        const attainmentLine = this.#label("tooltip", {
+            name: this.#label(this.#renderer.currencyMode ? "bookings" : "attainment"),
+            value: this.#renderer.formatAttainment(attainment)
+        });
+
+        const crosshairX = cursor.querySelector(".crosshair-x");
+        crosshairX.setAttribute("x1", x);
+        crosshairX.setAttribute("y1", y);
+        crosshairX.setAttribute("x2", x);
+        crosshairX.setAttribute("y2", this.#renderer.y(0));
+        const crosshairY = cursor.querySelector(".crosshair-y");
+        crosshairY.setAttribute("x1", this.#renderer.x(this.#renderer.xStart));
+        crosshairY.setAttribute("y1", y);
+        crosshairY.setAttribute("x2", x);
+        crosshairY.setAttribute("y2", y);
+        visible.forEach((series) => {
+            const point = cursor.querySelector(`.cursor-point-${series.index}`);
+            point.setAttribute("cx", x);
+            point.setAttribute("cy", this.#renderer.y(series.plan.payoutAt(attainment)));
+        });
+
+        // Tooltip lines, the payout and the rate of each plan when comparing several plans
+        const lines = this.#renderer.series.length > 1
+            ? [
+                [".tooltip-attainment", attainmentLine],
+                ...visible.map((series) => [
+                    `.tooltip-series-${series.index}`,
+                    this.#label("planTooltip", {
+                        plan: series.name,
+                        payout: this.#renderer.formatPayout(series.plan.payoutAt(attainment)),
+                        rate: this.#renderer.formatRate(series.plan.marginalRate(attainment))
+                    })
+                ])
+            ]
+            : [
+                [".tooltip-attainment", attainmentLine],
+                [".tooltip-payout", this.#label("tooltip", { name: this.#label("payout"), value: this.#renderer.formatPayout(payout) })],
+                [".tooltip-rate", this.#label("tooltip", { name: this.#label("rate"), value: this.#renderer.formatRate(rate) })]
+            ];
+        const oneRem = PayAccelerationChart.#fontSize;
+        const lineHeight = oneRem * 0.9;
+        const boxWidth = Math.max(...lines.map(([, text]) => text.length)) * oneRem * 0.4 + oneRem;
+        const boxHeight = lines.length * lineHeight + oneRem / 2;
+
+        // Keep the tooltip inside the chart, flip it to the other side of the point near the chart end
+        const end = this.#renderer.x(this.#renderer.xEnd);
+        let boxX = this.#rtl ? x - 8 - boxWidth : x + 8;
+        if (this.#rtl ? boxX < end : boxX + boxWidth > end) {
+            boxX = this.#rtl ? x + 8 : x - 8 - boxWidth;
+        }
+        const boxY = Math.min(Math.max(y - boxHeight - 8, this.#renderer.padding.top), this.#renderer.y(0) - boxHeight);
+
+        const box = cursor.querySelector(".tooltip-box");
+        box.setAttribute("x", boxX);
+        box.setAttribute("y", boxY);
+        box.setAttribute("width", boxWidth);
+        box.setAttribute("height", boxHeight);
+        lines.forEach(([selector, text], index) => {
+            const line = cursor.querySelector(selector);
+            line.setAttribute("x", this.#rtl ? boxX + boxWidth - oneRem / 2 : boxX + oneRem / 2);
+            line.setAttribute("y", boxY + oneRem / 4 + lineHeight * (index + 1) - lineHeight / 4);
+            line.textContent = text;
+        });
+        status.textContent = lines.map(([, text]) => text).join(", "); // Announce the tooltip
+
+        cursor.setAttribute("visibility", "visible");
+    }
+
+    /**
+     * Create the visually hidden data table of the curve breakpoints, one table for each visible plan
+     * @returns {DocumentFragment} The data tables
+     * @private
+     */
+    #createDataTables() {
+        const fragment = document.createDocumentFragment();
+        this.#renderer.visibleSeries.forEach((series) => {
+            const table = document.createElement("table");
+            table.classList.add("data-table", "visually-hidden");
+            const caption = document.createElement("caption");
+            caption.textContent = this.#renderer.series.length > 1 ? series.name : this.#label("chartTitle");
+            table.appendChild(caption);
+
+            const header = document.createElement("tr");
+            [this.#renderer.currencyMode ? "bookings" : "attainment", "payout"].forEach((name) => {
+                const cell = document.createElement("th");
+                cell.setAttribute("scope", "col");
+                cell.textContent = this.#label(name);
+                header.appendChild(cell);
+            });
+            const head = document.createElement("thead");
+            head.appendChild(header);
+            table.appendChild(head);
+
+            const body = document.createElement("tbody");
+            series.labels.forEach((label, index) => {
+                const row = document.createElement("tr");
+                const attainment = document.createElement("th");
+                attainment.setAttribute("scope", "row");
+                attainment.textContent = this.#renderer.formatAttainment(label);
+                const payout = document.createElement("td");
+                const value = series.values[index];
+                const before = series.before[index];
+                payout.textContent = before !== undefined && before !== value
+                    ? this.#label("payoutJump", { before: this.#renderer.formatPayout(before), payout: this.#renderer.formatPayout(value) })
+                    : this.#renderer.formatPayout(value);
+                row.append(attainment, payout);
+                body.appendChild(row);
+            });
+            table.appendChild(body);
+            fragment.appendChild(table);
+        });
+        return fragment;
+    }
+
+    /**
+     * Create the legend of the compared plans, clicking a plan shows or hides its curve
+     * @returns {Element} The legend element
+     * @private
+     */
+    #createLegend() {
+        const legend = document.createElement("div");
+        legend.classList.add("legend");
+        legend.setAttribute("part", "legend");
+        legend.setAttribute("role", "group");
+        legend.setAttribute("aria-label", this.#label("plans"));
+        this.#renderer.series.forEach((series) => {
+            const item = document.createElement("button");
+            item.type = "button";
+            item.classList.add("legend-item", PayCurveRenderer.seriesClass(series.index));
+            item.setAttribute("part", "legend-item");
+            item.setAttribute("aria-pressed", String(this.#renderer.visibleSeries.includes(series)));
+            const swatch = document.createElement("span");
+            swatch.classList.add("legend-swatch");
+            item.appendChild(swatch);
+            item.append(series.name);
+            item.addEventListener("click", () => this.#toggleSeries(series));
+            legend.appendChild(item);
+        });
+        return legend;
+    }
+
+    /**
+     * Create the legend of the band zones, the swatches shaded like the zones
+     * @returns {Element} The legend element
+     * @private
+     */
+    #createZoneLegend() {
+        const legend = document.createElement("div");
+        legend.classList.add("zone-legend");
+        legend.setAttribute("part", "zone-legend");
+        legend.setAttribute("role", "list");
+        legend.setAttribute("aria-label", this.#label("zones"));
+        this.#renderer.zoneLegend.forEach((zone) => {
+            const item = document.createElement("span");
+            item.classList.add("zone-legend-item");
+            item.setAttribute("part", "zone-legend-item");
+            item.setAttribute("role", "listitem");
+            const swatch = document.createElement("span");
+            swatch.classList.add("zone-swatch");
+            swatch.style.opacity = zone.opacity;
+            item.append(swatch, zone.name);
+            legend.appendChild(item);
+        });
+        return legend;
+    }
+
+    /**
+     * Show or hide a compared plan, the last visible plan can't be hidden
+     * @param {ChartSeries} series - The plan to show or hide
+     * @private
+     */
+    #toggleSeries(series) {
+        if (this.#hidden.has(series.index)) {
+            this.#hidden.delete(series.index);
+        } else if (this.#renderer.visibleSeries.length > 1) {
+            this.#hidden.add(series.index);
+        }
+        this.#generateChartData(); // The axes scale to the visible plans
+        this.render(true);
+    }
+
+    /**
+     * Update the rendered chart to match the newly drawn one, keeping the rendered nodes
+     * @param {Element} current - The rendered SVG element
+     * @param {Element} next - The newly drawn SVG element
+     * @param {boolean} animate - Move the nodes to the new coordinates and fade in the new nodes
+     * @private
+     */
+    #updateChart(current, next, animate) {
+        // Continue from the coordinates reached by the running animation
+        if (this.#animation) {
+            cancelAnimationFrame(this.#animation.frame);
+            this.#animation = null;
+        }
+        [...current.attributes].forEach(({ name }) => next.hasAttribute(name) || current.removeAttribute(name));
+        [...next.attributes].forEach(({ name, value }) => current.setAttribute(name, value));
+
+        const tweens = [];
+        this.#morph(current, next, animate ? tweens : null);
+        if (tweens.length === 0) {
+            return;
+        }
+
+        const duration = 300;
+        const start = performance.now();
+        const step = () => {
+            const t = Math.min((performance.now() - start) / duration, 1);
+            const eased = t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2; // Ease in and out
+            tweens.forEach(({ node, name, value, to }) => node.setAttribute(name, t === 1 ? to : value(eased)));
+            this.#animation = t < 1 ? { frame: requestAnimationFrame(step), tweens } : null;
+        };
+        this.#animation = { frame: requestAnimationFrame(step), tweens };
+    }
+
+    /**
+     * Update the children of a rendered node to match the newly drawn node
+     * 
+     * The children are matched by the element name and the class in the drawing order. The matched nodes
+     * keep their identity, the unmatched new nodes are added and the unmatched rendered nodes removed.
+     * The title, description, definitions and the crosshair are replaced.
+     * 
+     * @param {Element} current - The rendered node
+     * @param {Element} next - The newly drawn node
+     * @param {?Array<Object>} tweens - Collects the coordinate transitions, null to apply the changes immediately
+     * @private
+     */
+    #morph(current, next, tweens) {
+        const keyOf = (node) => `${node.localName}.${node.getAttribute("class") ?? ""}`;
+        const replaced = (node) => ["title", "desc", "defs"].includes(node.localName) || node.classList.contains("cursor");
+        const rendered = new Map();
+        [...current.children].forEach((node) => {
+            rendered.set(keyOf(node), [...(rendered.get(keyOf(node)) ?? []), node]);
+        });
+
+        const children = [...next.children].map((node) => {
+            const match = replaced(node) ? undefined : rendered.get(keyOf(node))?.shift();
+            if (!match) {
+                if (tweens && !replaced(node)) {
+                    node.animate?.([{ opacity: 0 }, { opacity: 1 }], { duration: 300 }); // Fade in
+                }
+                return node;
+            }
+            [...match.attributes].forEach(({ name }) => node.hasAttribute(name) || match.removeAttribute(name));
+            [...node.attributes].forEach(({ name, value }) => {
+                const from = match.getAttribute(name);
+                if (from === value) {
+                    return;
+                }
+                const tween = tweens && PayAccelerationChart.#tweened.includes(name) ? this.#tween(from, value) : null;
+                if (tween) {
+                    tweens.push({ node: match, name, value: tween, to: value });
+                } else {
+                    match.setAttribute(name, value);
                 }
+            });
+            if (node.childElementCount > 0) {
+                this.#morph(match, node, tweens);
+            } else if (match.textContent !== node.textContent) {
+                match.textContent = node.textContent;
             }
+            return match;
         });
-        path.setAttribute("d", pathData);
-        path.classList.add("chart-line");
-        path.setAttribute("marker-end", "url(#arrowhead)"); // Add arrowhead to the end of the line
-        svg.appendChild(path);
-
-        // Clear the shadow root and append the new SVG
-        this.shadowRoot.innerHTML = `
-      <style>
-      .axis {
-          stroke: black;
-          stroke-width: 1;
+        current.replaceChildren(...children);
+    }
+
+    /**
+     * Snapping of the edits: the band boundaries snap to whole steps of the attainment and keep the minimum
+     * band width, the rates snap to the rate step
+     * @type {{attainment: number, width: number, rate: number}}
+     */
+    static #editSnap = { attainment: 5, width: 5, rate: 0.05 };
+
+    /**
+     * The attributes with the coordinates moved by the animation
+     * @type {Array<string>}
+     */
+    static #tweened = ["x", "y", "x1", "y1", "x2", "y2", "cx", "cy", "d", "transform"];
+
+    /**
+     * Get the interpolation between two attribute values with the same numbers layout, e.g. two coordinates
+     * 
+     * Paths with a different number of points are interpolated with the shorter path extended by copies
+     * of its last point.
+     * 
+     * @param {?string} from - The rendered value
+     * @param {string} to - The new value
+     * @returns {?function(number): string} The value at the given progress from 0 to 1,
+     *          null if the values can't be interpolated
+     * @private
+     */
+    #tween(from, to) {
+        const number = /-?\d*\.?\d+(?:e[-+]?\d+)?/gi;
+        const start = from?.match(number)?.map(Number) ?? [];
+        const end = to.match(number)?.map(Number) ?? [];
+        const template = (start.length > end.length ? from : to).split(number);
+        if (start.length !== end.length) {
+            const isPath = (value) => /^M[\d.,\s\-eL]*$/.test(value);
+            if (!isPath(from) || !isPath(to) || start.length < 2 || end.length < 2) {
+                return null;
+            }
+            const shorter = start.length < end.length ? start : end;
+            const last = shorter.slice(-2);
+            while (shorter.length < Math.max(start.length, end.length)) {
+                shorter.push(...last);
+            }
+        } else if (template.join("") !== to.split(number).join("")) {
+            return null; // Different text around the numbers
+        }
+        return (t) => template.reduce((value, text, index) => value + text
+            + (index < start.length ? start[index] + (end[index] - start[index]) * t : ""), "");
+    }
+
+    /**
+     * Get the styles of the interactive parts and the HTML parts of the chart, the renderer styles
+     * the chart elements, the theme custom properties are defined on the host
+     * @type {string}
+     * @private
+     */
+    static get #chartStyles() {
+        return `
+      svg {
+          touch-action: pan-y; /* Horizontal drag moves the crosshair */
+      }
+      :host([responsive]) {
+          display: block;
+      }
+      :host([responsive]) svg {
+          display: block;
+          width: 100%;
+          height: auto;
       }
-  
-      .grid-line {
-          stroke: #ddd;
+      svg:focus {
+          outline: none;
+      }
+      svg:focus-visible {
+          outline: 2px solid var(--pay-chart-accent-color);
+          outline-offset: 2px;
+      }
+
+      .cursor {
+          pointer-events: none;
+      }
+      .crosshair {
+          stroke: var(--pay-chart-accent-color);
           stroke-width: .5;
+          stroke-dasharray: var(--pay-chart-crosshair-dash);
+      }
+      .cursor-point {
+          fill: var(--series-color, var(--pay-chart-series-0));
+          stroke: var(--pay-chart-background);
+          stroke-width: 1;
       }
-  
-      .axis-label {
-          font-size: 0.7rem;
-          fill: black;
-          text-anchor: middle;
+      .tooltip-box {
+          fill: var(--pay-chart-tooltip-background);
+          stroke: var(--pay-chart-tooltip-border);
+          stroke-width: .5;
       }
-  
-      .y-axis-label {
-          text-anchor: end;
+      .tooltip-text {
+          fill: var(--pay-chart-text-color);
       }
-      .chart-line {
-          stroke: rgb(5, 106, 200);
+
+      .selected-point {
+          fill: var(--pay-chart-background);
+          stroke: var(--pay-chart-accent-color);
           stroke-width: 2;
-          fill: none;
       }
-      .arrow-marker {
-          fill: rgb(5, 106, 200);
+      .population-summary {
+          max-width: var(--chart-width);
+          font-family: var(--pay-chart-font-family);
+          font-size: var(--pay-chart-font-size);
+          color: var(--pay-chart-text-color);
       }
-  
-      .one-x-line {
-          stroke: rgb(5, 106, 200);
-          stroke-width: 1;
-          stroke-dasharray: 5, 5; /* Dashed line */
+      .population-summary p,
+      .population-summary ul {
+          margin: .25rem 0 0;
+      }
+      .population-summary ul {
+          padding-left: 1rem;
+      }
+
+      .blend {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: .25rem .75rem;
+          max-width: var(--chart-width);
+          font-family: var(--pay-chart-font-family);
+          font-size: var(--pay-chart-font-size);
+          color: var(--pay-chart-text-color);
       }
-  
-      .band-rate-label {
-          font-size: 0.7rem;
-          fill: black;
-          text-anchor: end;
+      .blend-measure {
+          display: inline-flex;
+          align-items: center;
+          gap: .25rem;
+      }
+      .blend-measure input {
+          width: 4em;
+          font: inherit;
+      }
+      .blend-payout {
+          color: var(--pay-chart-muted-color);
+      }
+      .blend-total {
           font-weight: bold;
       }
-  
-      .axis-title {
-          font-size: .7rem;
-          fill: #000;
-          text-anchor: middle;
+
+      .legend {
+          display: flex;
+          flex-wrap: wrap;
+          gap: .25rem .75rem;
+          max-width: var(--chart-width);
+          font-family: var(--pay-chart-font-family);
+          font-size: var(--pay-chart-font-size);
+          color: var(--pay-chart-text-color);
+      }
+      .legend-item {
+          display: inline-flex;
+          align-items: center;
+          gap: .25rem;
+          padding: 0;
+          border: none;
+          background: none;
+          color: inherit;
+          font: inherit;
+          cursor: pointer;
+      }
+      .legend-item[aria-pressed="false"] {
+          opacity: .4;
+          text-decoration: line-through;
       }
-      .gate-label {
-          font-size: .7rem;
-          text-anchor: left;
-          font-weight: regular;
+      .legend-swatch {
+          width: .75rem;
+          height: 2px;
+          background: var(--series-color);
       }
-  
-      .no-acceleration-label {
-          fill: red;
+      .zone-legend {
+          display: flex;
+          flex-wrap: wrap;
+          gap: .25rem .75rem;
+          max-width: var(--chart-width);
+          font-family: var(--pay-chart-font-family);
+          font-size: var(--pay-chart-font-size);
+          color: var(--pay-chart-text-color);
       }
-  
-      .acceleration-label {
-          fill: green;
+      .zone-legend-item {
+          display: inline-flex;
+          align-items: center;
+          gap: .25rem;
+      }
+      .zone-swatch {
+          width: .75rem;
+          height: .75rem;
+          background: var(--pay-chart-zone-color);
+      }
+
+      .sparkline {
+          display: block;
+          width: var(--chart-width);
+          height: var(--chart-height);
+      }
+
+      .loading,
+      .error {
+          box-sizing: border-box;
+          width: var(--chart-width);
+          min-height: var(--chart-height);
+          font-family: var(--pay-chart-font-family);
+          font-size: var(--pay-chart-font-size);
       }
-      </style>`;
-        this.shadowRoot.appendChild(svg);
+      .loading {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          color: var(--pay-chart-muted-color);
+      }
+      .error {
+          padding: .5rem;
+          border: 1px dashed var(--pay-chart-error-color);
+          color: var(--pay-chart-error-color);
+          text-align: left;
+      }
+      .error ul {
+          margin: .25rem 0 0;
+          padding-left: 1rem;
+      }
+
+      .visually-hidden {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          margin: -1px;
+          padding: 0;
+          overflow: hidden;
+          clip: rect(0 0 0 0);
+          white-space: nowrap;
+          border: 0;
+      }
+
+      .edit-handle {
+          stroke: transparent;
+          stroke-width: 10;
+      }
+      .breakpoint-handle {
+          cursor: ew-resize;
+      }
+      .rate-handle {
+          cursor: ns-resize;
+      }
+      .edit-handle:hover {
+          stroke: var(--pay-chart-accent-color);
+          stroke-opacity: .25;
+      }
+      .edit-controls {
+          display: flex;
+          gap: .5rem;
+          margin-top: .25rem;
+          font-family: var(--pay-chart-font-family);
+          font-size: var(--pay-chart-font-size);
+      }
+
+
+      @media print {
+          .cursor {
+              display: none;
+          }
+          svg:focus-visible {
+              outline: none;
+          }
+      }
+
+      @media (prefers-reduced-motion: no-preference) {
+          .legend-item {
+              transition: opacity .2s;
+          }
+      }
+
+      @media (forced-colors: active) {
+          .crosshair {
+              stroke: CanvasText;
+          }
+          .cursor-point {
+              fill: Highlight;
+              stroke: Canvas;
+          }
+          .selected-point {
+              fill: Canvas;
+              stroke: Highlight;
+          }
+          .tooltip-box {
+              fill: Canvas;
+              stroke: CanvasText;
+          }
+          .legend-swatch {
+              background: CanvasText;
+          }
+          .zone-swatch {
+              background: Highlight;
+          }
+          svg:focus-visible {
+              outline-color: Highlight;
+          }
+      }
+      `;
+    }
+
+    /**
+     * All the styles of the chart, the same for every chart: the themes, the chart elements, the interactive
+     * and the HTML parts. The size of each chart is in the `--chart-width` and `--chart-height` properties of the host.
+     * @type {string}
+     * @private
+     */
+    static get #styles() {
+        return `${PayAccelerationChart.#themeStyles}${PayCurveRenderer.styles}${PayAccelerationChart.#chartStyles}`;
+    }
+
+    /**
+     * Apply the styles to the shadow root: adopt the stylesheet shared by all the charts and the size of this chart,
+     * or add a `style` element with a copy of the styles where the constructable stylesheets aren't supported
+     * @private
+     */
+    #applyStyles() {
+        const size = `:host { --chart-width: ${this.width}px; --chart-height: ${this.height}px; }`;
+        if (PayAccelerationChart.#sharedSheet === undefined) {
+            const supported = typeof CSSStyleSheet !== "undefined" && "replaceSync" in CSSStyleSheet.prototype
+                && typeof ShadowRoot !== "undefined" && "adoptedStyleSheets" in ShadowRoot.prototype;
+            PayAccelerationChart.#sharedSheet = supported ? new CSSStyleSheet() : null;
+            PayAccelerationChart.#sharedSheet?.replaceSync(PayAccelerationChart.#styles);
+        }
+        if (PayAccelerationChart.#sharedSheet) {
+            if (this.#sizeSheet === null) {
+                this.#sizeSheet = new CSSStyleSheet();
+                this.shadowRoot.adoptedStyleSheets = [PayAccelerationChart.#sharedSheet, this.#sizeSheet];
+            }
+            if (this.#sizeRule !== size) {
+                this.#sizeSheet.replaceSync(size);
+                this.#sizeRule = size;
+            }
+            return;
+        }
+        let style = this.shadowRoot.querySelector("style");
+        if (!style) {
+            style = document.createElement("style");
+            this.shadowRoot.prepend(style);
+        }
+        if (this.#sizeRule !== size || style.textContent === "") {
+            style.textContent = `${PayAccelerationChart.#styles}${size}`;
+            this.#sizeRule = size;
+        }
+    }
+
+    /**
+     * Render the loading state while the plan is loaded from the src URL
+     * @private
+     */
+    #renderLoading() {
+        const status = document.createElement("div");
+        status.classList.add("loading");
+        status.setAttribute("part", "loading");
+        status.setAttribute("role", "status");
+        status.setAttribute("aria-busy", "true");
+        status.textContent = this.#label("loading");
+
+        this.shadowRoot.replaceChildren(status);
+        this.#applyStyles();
+    }
+
+    /**
+     * Render the error state listing the problems found in the data attribute
+     * @private
+     */
+    #renderErrors() {
+        const error = document.createElement("div");
+        error.classList.add("error");
+        error.setAttribute("part", "error");
+        error.setAttribute("role", "alert");
+        const title = document.createElement("strong");
+        title.textContent = this.#label(this.#errors.some((problem) => problem.field === "src") ? "loadError" : "invalidData");
+        error.appendChild(title);
+        const list = document.createElement("ul");
+        this.#errors.forEach((problem) => {
+            const item = document.createElement("li");
+            item.textContent = PayCurveRenderer.formatProblem(problem);
+            list.appendChild(item);
+        });
+        error.appendChild(list);
+
+        this.shadowRoot.replaceChildren(error);
+        this.#applyStyles();
+    }
+
+    /**
+     * Draw the chart using SVG
+     * 
+     * The first render builds the shadow DOM, the next renders update the SVG nodes in place,
+     * so the focus and the crosshair stay. The attribute changes are batched into an animated render
+     * in the next frame, call `render()` to apply the pending changes immediately.
+     * 
+     * @param {boolean} [animate=false] - Move the chart nodes from the old to the new coordinates,
+     *          skipped when the user prefers reduced motion
+     */
+    render(animate = false) {
+        if (this.#renderFrame !== null) {
+            cancelAnimationFrame(this.#renderFrame);
+            this.#renderFrame = null;
+        }
+        this.#generateChartData(); // Follow the size, the labels and the locale changed since the last render
+
+        // wait for the plan from the src URL
+        if (this.#loading) {
+            this.#renderLoading();
+            this.#dispatchRender("loading");
+            return;
+        }
+
+        // show the problems instead of a misleading chart
+        if (this.#errors.length > 0) {
+            this.#renderErrors();
+            this.#dispatchRender("error");
+            return;
+        }
+
+        // check input parameters
+        if (!this.data || this.#renderer.series.length === 0
+            || !this.width || !this.height) {
+            // Don't render if the data is missing
+            this.shadowRoot.innerHTML = '';
+            this.#dispatchRender("empty");
+            return;
+        }
+
+        if (this.#sparkline) {
+            this.#renderSparkline();
+            this.#dispatchRender("chart");
+            return;
+        }
+
+        // The static chart is drawn by the renderer, the same as the server-side rendered chart
+        const svg = this.#renderer.render().toElement(document);
+        svg.setAttribute("tabindex", 0); // Focusable for the keyboard navigation along the curve
+
+        if (this.#selected !== null && this.#renderer.inRange(this.#selected)) {
+            this.#drawSelection(svg);
+        }
+
+        // Drag handles of the band boundaries and the rates
+        if (this.#editable) {
+            this.#drawEditHandles(svg);
+        }
+
+        // Draw the crosshair and tooltip on top of the chart
+        this.#drawCursor(svg);
+
+        // Screen reader fallback: the data table and the announced cursor position
+        const status = document.createElement("div");
+        status.classList.add("cursor-status", "visually-hidden");
+        status.setAttribute("aria-live", "polite");
+        const content = [this.#createDataTables(), status];
+
+        // Legend to show and hide the compared plans
+        if (this.#renderer.series.length > 1) {
+            content.push(this.#createLegend());
+        }
+        if (this.hasAttribute("zones")) {
+            content.push(this.#createZoneLegend());
+        }
+        if (this.population) {
+            content.push(this.#createPopulationSummary());
+        }
+        // Attainment inputs of the weighted measures and the blended total payout
+        if (this.#renderer.series.some((series) => series.weight !== undefined)) {
+            content.push(this.#createBlend());
+        }
+        if (this.#editable) {
+            content.push(this.#createEditControls());
+        }
+
+        const current = this.shadowRoot.querySelector("svg");
+        if (current) {
+            // Update the rendered chart in place, the HTML parts are replaced
+            this.#updateChart(current, svg, animate && !window.matchMedia?.("(prefers-reduced-motion: reduce)").matches);
+            this.shadowRoot.querySelectorAll(".data-table, .cursor-status, .legend, .zone-legend, .population-summary, .blend, .edit-controls").forEach((node) => node.remove());
+            this.shadowRoot.append(...content);
+        } else {
+            // Clear the shadow root and append the new SVG
+            this.shadowRoot.replaceChildren(svg, ...content);
+            this.#listenToChart(svg);
+        }
+        this.#applyStyles();
+
+        // Restore the crosshair position after the redraw
+        if (this.#cursor !== null) {
+            this.#moveCursor(Math.min(Math.max(this.#cursor, this.#renderer.xStart), this.#renderer.xEnd));
+        }
+        this.#dispatchRender("chart");
+    }
+
+    /**
+     * Dispatch the `render` event after the redraw
+     * @param {string} state - What was drawn: "chart", "loading", "error" or "empty" without the data
+     * @private
+     */
+    #dispatchRender(state) {
+        this.dispatchEvent(new CustomEvent("render", {
+            detail: { state },
+            bubbles: true,
+            composed: true
+        }));
     }
 }
 
@@ -0,0 +1,2414 @@
+// pay-curve-renderer.mjs
+/**
+MIT License
+
+Copyright (c) 2025 David Chovanec
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+import { PayPlan } from "./pay-plan.mjs";
+
+/**
+ * The options of the rendered chart, the same as the chart attributes
+ * @typedef {Object} RenderOptions
+ * @property {number} [width=400] - width of the chart in pixels
+ * @property {number} [height=300] - height of the chart in pixels
+ * @property {number} [fontSize=16] - the root font size in pixels, the padding and the label spacing follow it
+ * @property {string} [locale] - the locale of the formatted numbers, the default locale if not set
+ * @property {string} [dir="ltr"] - the text direction, "rtl" mirrors the chart
+ * @property {?number} [quota] - bookings at 100% attainment, currency mode with the target incentive
+ * @property {?number} [targetIncentive] - payout at 100% payout, currency mode with the quota
+ * @property {string} [currency="USD"] - ISO 4217 code of the amounts in currency mode
+ * @property {Object<string, string>} [labels={}] - translations of the rendered text, override the default labels
+ * @property {?number} [attainment] - actual attainment - "you are here" marker
+ * @property {?number} [target] - target attainment - ghost marker
+ * @property {?number} [forecast] - forecast attainment - ghost marker
+ * @property {?number} [xMin] - attainment at the start of the X axis
+ * @property {?number} [xMax] - attainment at the end of the X axis, after the last breakpoint if not set
+ * @property {?number} [yMax] - payout at the top of the Y axis, the highest payout if not set
+ * @property {string} [ticks="breakpoints"] - the axis label values: "breakpoints", "nice" or "both"
+ * @property {?Array<number>} [population] - attainments of the reps - the histogram under the curve
+ * @property {string} [populationStyle] - "rug" draws one tick per rep instead of the histogram
+ * @property {boolean} [zones=false] - shade the bands of the first plan by the rate and add the legend of the zones
+ * @property {boolean} [sparkline=false] - the compact layout of `drawSparkline()`: the curves fill the chart, no axes
+ * @property {Iterable<number>} [hidden] - indexes of the compared plans left out of the chart
+ */
+
+/**
+ * A compared plan or a measure of the weighted plan with its own curve points
+ * @typedef {Object} ChartSeries
+ * @property {number} index - index of the plan, selects the series color and arrowhead marker
+ * @property {string} name - name of the plan shown in the legend, with the weight of the measure
+ * @property {number} [weight] - weight of the measure in the total payout, percent
+ * @property {PayPlan} plan - the payout rules of the plan
+ * @property {Array<number>} labels - attainment percentages of the curve points
+ * @property {Array<number>} values - payout percentages of the curve points
+ * @property {Array<number>} before - payout percentages just below the curve points
+ */
+
+/**
+ * A custom mark of the chart data `annotations`, placed in the plan percentages like the bands
+ * @typedef {Object} ChartAnnotation
+ * @property {string} type - "x-line" or "y-line" reference line, "point" marker, "x-range" or "y-range" shaded region
+ * @property {number} [x] - attainment of the X line and the point
+ * @property {number} [y] - payout of the Y line, the point is on the curve of the first plan if not set
+ * @property {number} [from] - start of the range, attainment of the X range or payout of the Y range
+ * @property {number} [to] - end of the range
+ * @property {string} [label] - text next to the annotation
+ */
+
+/**
+ * An SVG element built without the DOM, serialized to the markup or converted to a DOM element
+ */
+export class SvgNode {
+    /**
+     * The attribute values by the name, in the order they were set
+     * @type {Map<string, string>} */
+    #attributes = new Map();
+    /**
+     * The text content, used only when the node has no child elements
+     * @type {string} */
+    #text = "";
+
+    /**
+     * Constructor for the SVG node
+     * @param {string} name - The element name, e.g. "path"
+     */
+    constructor(name) {
+        /** @type {string} */
+        this.localName = name;
+        /** @type {Array<SvgNode>} */
+        this.children = [];
+    }
+
+    /**
+     * Set the attribute value
+     * @param {string} name - The attribute name
+     * @param {*} value - The value, converted to a string
+     */
+    setAttribute(name, value) {
+        this.#attributes.set(name, String(value));
+    }
+
+    /**
+     * Get the attribute value
+     * @param {string} name - The attribute name
+     * @returns {?string} The value, null if the attribute isn't set
+     */
+    getAttribute(name) {
+        return this.#attributes.get(name) ?? null;
+    }
+
+    /**
+     * The class names of the element, `add()` appends the names missing in the `class` attribute
+     * @type {{add: function(...string): void}}
+     */
+    get classList() {
+        return {
+            add: (...names) => {
+                const classes = this.getAttribute("class")?.split(" ") ?? [];
+                this.setAttribute("class", [...new Set([...classes, ...names])].join(" "));
+            }
+        };
+    }
+
+    /**
+     * Append a child element
+     * @param {SvgNode} node - The child element
+     * @returns {SvgNode} The appended element
+     */
+    appendChild(node) {
+        this.children.push(node);
+        return node;
+    }
+
+    /**
+     * Append the child elements
+     * @param {...SvgNode} nodes - The child elements
+     */
+    append(...nodes) {
+        this.children.push(...nodes);
+    }
+
+    /**
+     * The text of the element and its children, setting it removes the children
+     * @type {string}
+     */
+    get textContent() {
+        return this.children.length > 0 ? this.children.map((node) => node.textContent).join("") : this.#text;
+    }
+
+    set textContent(text) {
+        this.children = [];
+        this.#text = String(text);
+    }
+
+    /**
+     * Create the DOM element of the node and its children
+     * @param {Document} document - The document creating the elements
+     * @returns {Element} The SVG element
+     */
+    toElement(document) {
+        const element = document.createElementNS(PayCurveRenderer.namespace, this.localName);
+        this.#attributes.forEach((value, name) => element.setAttribute(name, value));
+        if (this.children.length > 0) {
+            element.append(...this.children.map((node) => node.toElement(document)));
+        } else if (this.#text) {
+            element.textContent = this.#text;
+        }
+        return element;
+    }
+
+    /**
+     * Serialize the node to the SVG markup, the root `svg` element declares the SVG namespace
+     * @returns {string} The markup
+     */
+    toString() {
+        const escape = (text) => text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+        const attributes = [...this.#attributes]
+            .map(([name, value]) => ` ${name}="${escape(value).replace(/"/g, "&quot;")}"`)
+            .join("");
+        const namespace = this.localName === "svg" ? ` xmlns="${PayCurveRenderer.namespace}"` : "";
+        const content = this.children.length > 0 ? this.children.join("") : escape(this.#text);
+        return content
+            ? `<${this.localName}${namespace}${attributes}>${content}</${this.localName}>`
+            : `<${this.localName}${namespace}${attributes}/>`;
+    }
+}
+
+/**
+ * Draws the pay acceleration chart of the plan data as SVG.
+ *
+ * The renderer has no dependency on the DOM, it builds the chart from the plan data and the options alone.
+ * The chart component draws its SVG with it, and the same chart can be rendered on the server, e.g. in Node:
+ *
+ *     import { PayCurveRenderer } from "./components/pay-curve-renderer.mjs";
+ *     const renderer = new PayCurveRenderer({ bands: [{ min: 0, max: 100, rate: 1 }, { min: 100, rate: 2 }] });
+ *     renderer.toSVGString({ title: "FY25 plan" }); // standalone SVG markup
+ */
+export class PayCurveRenderer {
+    /**
+     * The SVG namespace
+     * @type {string}
+     */
+    static namespace = "http://www.w3.org/2000/svg";
+
+    /**
+     * Attainment markers drawn on the curve, in the drawing order
+     * @type {Array<string>}
+     */
+    static markers = ["target", "forecast", "attainment"];
+
+    /**
+     * Types of the data `annotations`
+     * @type {Array<string>}
+     */
+    static annotationTypes = ["x-line", "y-line", "point", "x-range", "y-range"];
+
+    /**
+     * Number of the series colors of the compared plans, `--pay-chart-series-0` to `--pay-chart-series-5`
+     * @type {number}
+     */
+    static seriesColors = 6;
+
+    /**
+     * The custom properties of the built-in themes, the page can override any of them on the element
+     * @type {Object<string, string>}
+     */
+    static themes = {
+        light: `
+          --pay-chart-font-family: inherit;
+          --pay-chart-font-size: .7rem;
+          --pay-chart-text-color: black;
+          --pay-chart-muted-color: #666;
+          --pay-chart-background: white;
+          --pay-chart-axis-color: black;
+          --pay-chart-axis-width: 1;
+          --pay-chart-grid-color: #ddd;
+          --pay-chart-grid-width: .5;
+          --pay-chart-line-width: 2;
+          --pay-chart-series-0: rgb(5, 106, 200);
+          --pay-chart-series-1: rgb(200, 60, 60);
+          --pay-chart-series-2: rgb(40, 150, 80);
+          --pay-chart-series-3: rgb(140, 80, 190);
+          --pay-chart-series-4: rgb(190, 130, 0);
+          --pay-chart-series-5: rgb(0, 150, 160);
+          --pay-chart-gate-met-color: green;
+          --pay-chart-gate-unmet-color: red;
+          --pay-chart-gate-dash: 2, 3;
+          --pay-chart-unmet-dash: 5, 5;
+          --pay-chart-marker-color: rgb(230, 120, 0);
+          --pay-chart-marker-dash: 3, 3;
+          --pay-chart-accent-color: rgb(5, 106, 200);
+          --pay-chart-crosshair-dash: 2, 2;
+          --pay-chart-tooltip-background: rgba(255, 255, 255, .9);
+          --pay-chart-tooltip-border: #999;
+          --pay-chart-error-color: red;
+          --pay-chart-population-color: rgba(120, 120, 120, .3);
+          --pay-chart-annotation-color: rgb(120, 80, 160);
+          --pay-chart-annotation-fill: rgba(120, 80, 160, .12);
+          --pay-chart-annotation-dash: 6, 3;
+          --pay-chart-zone-color: rgb(5, 106, 200);
+          --pay-chart-earned-fill: rgba(230, 120, 0, .2);`,
+        dark: `
+          --pay-chart-text-color: #eee;
+          --pay-chart-muted-color: #aaa;
+          --pay-chart-background: #1e1e1e;
+          --pay-chart-axis-color: #ccc;
+          --pay-chart-grid-color: #444;
+          --pay-chart-series-0: rgb(90, 170, 255);
+          --pay-chart-series-1: rgb(255, 120, 120);
+          --pay-chart-series-2: rgb(100, 210, 130);
+          --pay-chart-series-3: rgb(190, 140, 240);
+          --pay-chart-series-4: rgb(240, 190, 60);
+          --pay-chart-series-5: rgb(60, 210, 220);
+          --pay-chart-gate-met-color: rgb(100, 210, 130);
+          --pay-chart-gate-unmet-color: rgb(255, 110, 110);
+          --pay-chart-marker-color: rgb(255, 160, 60);
+          --pay-chart-accent-color: rgb(90, 170, 255);
+          --pay-chart-tooltip-background: rgba(30, 30, 30, .9);
+          --pay-chart-tooltip-border: #666;
+          --pay-chart-error-color: rgb(255, 110, 110);
+          --pay-chart-population-color: rgba(200, 200, 200, .3);
+          --pay-chart-annotation-color: rgb(200, 160, 240);
+          --pay-chart-annotation-fill: rgba(200, 160, 240, .15);
+          --pay-chart-zone-color: rgb(90, 170, 255);
+          --pay-chart-earned-fill: rgba(255, 160, 60, .2);`
+    };
+
+    /**
+     * The default English text, the `{name}` placeholders are replaced with the formatted values
+     * @type {Object<string, string>}
+     */
+    static defaultLabels = {
+        attainment: "Attainment",
+        bookings: "Bookings",
+        payout: "Payout",
+        rate: "Rate",
+        axisTitle: "{name} ({unit})",
+        tooltip: "{name}: {value}",
+        planTooltip: "{plan}: {payout} ({rate})",
+        rateValue: "{rate}x",
+        gateMet: "gate met",
+        gateNotMet: "gate not met",
+        cap: "cap {payout}",
+        bandCap: "band cap",
+        floor: "floor {payout}",
+        earned: "Earned {payout}",
+        target: "Target",
+        forecast: "Forecast",
+        actual: "Actual",
+        markerTitle: "{marker}: {name} {attainment}, {payoutName} {payout}",
+        plans: "Plans",
+        invalidData: "Invalid pay plan data",
+        populationSummary: "{count} reps: total payout {total}, median payout {median}",
+        populationBand: "{range}: {share} of reps",
+        populationBin: "{range}: {count} reps",
+        loading: "Loading the pay plan…",
+        loadError: "The pay plan could not be loaded",
+        chartTitle: "Pay acceleration chart",
+        summaryFirst: "{rate} up to {max}",
+        summaryBand: "{rate} from {min} to {max}",
+        summaryLast: "{rate} from {min}",
+        summaryGate: "gate at {attainment}",
+        summaryCap: "capped at {payout}",
+        summaryFloor: "at least {payout}",
+        summaryPlan: "{plan}: {summary}",
+        payoutJump: "{before} to {payout}",
+        bandRange: "{min} – {max}",
+        bandFrom: "{min}+",
+        addBand: "Add band",
+        removeBand: "Remove band",
+        editControls: "Edit bands",
+        kicker: "+{payout}",
+        kickerRate: "{rate} + {bonus} kicker",
+        tierRate: "{rate} on all",
+        deceleratorRate: "{rate}, {capRate} above {cap}",
+        measureName: "{measure} ({weight})",
+        blend: "Blended payout",
+        blendMeasure: "pays {payout}",
+        blendTotal: "Total payout {payout}",
+        zones: "Zones",
+        zoneBase: "Base",
+        zoneAccelerator: "Accelerator",
+        zoneSuperAccelerator: "Super-accelerator"
+    };
+
+    /**
+     * The styles of the chart elements, the theme custom properties are defined on the `svg` element
+     * or the component host
+     * @type {string}
+     */
+    static styles = `
+      .axis {
+          stroke: var(--pay-chart-axis-color);
+          stroke-width: var(--pay-chart-axis-width);
+      }
+  
+      .grid-line {
+          stroke: var(--pay-chart-grid-color);
+          stroke-width: var(--pay-chart-grid-width);
+      }
+
+      text {
+          font-family: var(--pay-chart-font-family);
+          font-size: var(--pay-chart-font-size);
+      }
+  
+      .axis-label {
+          fill: var(--pay-chart-text-color);
+          text-anchor: middle;
+      }
+  
+      .y-axis-label,
+      .x-axis-label.rotated {
+          text-anchor: end;
+      }
+      .series-0 { --series-color: var(--pay-chart-series-0); }
+      .series-1 { --series-color: var(--pay-chart-series-1); }
+      .series-2 { --series-color: var(--pay-chart-series-2); }
+      .series-3 { --series-color: var(--pay-chart-series-3); }
+      .series-4 { --series-color: var(--pay-chart-series-4); }
+      .series-5 { --series-color: var(--pay-chart-series-5); }
+
+      .chart-line {
+          stroke: var(--series-color, var(--pay-chart-series-0));
+          stroke-width: var(--pay-chart-line-width);
+          fill: none;
+      }
+      .arrow-marker {
+          fill: var(--series-color, var(--pay-chart-series-0));
+      }
+  
+      .one-x-line {
+          stroke: var(--series-color, var(--pay-chart-series-0));
+          stroke-width: 1;
+          fill: none;
+          stroke-dasharray: var(--pay-chart-unmet-dash); /* Dashed line */
+      }
+  
+      .gate-line {
+          stroke: var(--pay-chart-gate-met-color);
+          stroke-width: 1;
+          stroke-dasharray: var(--pay-chart-gate-dash);
+      }
+
+      .band-rate-label {
+          fill: var(--pay-chart-text-color);
+          text-anchor: end;
+          font-weight: bold;
+      }
+      .kicker-label {
+          fill: var(--pay-chart-accent-color);
+          text-anchor: start;
+          dominant-baseline: middle;
+          font-weight: bold;
+      }
+  
+      .axis-title {
+          fill: var(--pay-chart-text-color);
+          text-anchor: middle;
+      }
+      .gate-label {
+          text-anchor: start;
+          font-weight: normal;
+      }
+  
+      .no-acceleration-label {
+          fill: var(--pay-chart-gate-unmet-color);
+      }
+  
+      .acceleration-label {
+          fill: var(--pay-chart-gate-met-color);
+      }
+
+      .cap-marker {
+          fill: var(--pay-chart-background);
+          stroke: var(--series-color, var(--pay-chart-series-0));
+          stroke-width: 1.5;
+      }
+      .cap-label,
+      .floor-label {
+          fill: var(--pay-chart-muted-color);
+      }
+
+      .drop-line {
+          stroke: var(--pay-chart-marker-color);
+          stroke-width: 1;
+          stroke-dasharray: var(--pay-chart-marker-dash);
+      }
+      .marker-point {
+          fill: var(--pay-chart-marker-color);
+          stroke: var(--pay-chart-background);
+          stroke-width: 1.5;
+      }
+      .ghost-marker .marker-point {
+          fill: var(--pay-chart-background);
+          stroke: var(--pay-chart-accent-color);
+          stroke-dasharray: 2, 2;
+          opacity: .8;
+      }
+      .marker-callout,
+      .marker-label {
+          text-anchor: end;
+          paint-order: stroke;
+          stroke: var(--pay-chart-background);
+          stroke-width: 3;
+      }
+      .marker-callout {
+          font-weight: bold;
+          fill: var(--pay-chart-marker-color);
+      }
+      .marker-label {
+          fill: var(--pay-chart-muted-color);
+      }
+
+      .compare .band-rate-label, .compare .kicker-label {
+          fill: var(--series-color);
+      }
+      .population-bar {
+          fill: var(--pay-chart-population-color);
+      }
+      .population-rug {
+          stroke: var(--pay-chart-population-color);
+          stroke-width: 1;
+      }
+      .zone,
+      .zone-swatch {
+          fill: var(--pay-chart-zone-color);
+      }
+      .zone-legend-text {
+          fill: var(--pay-chart-text-color);
+      }
+      .earned-area {
+          fill: var(--pay-chart-earned-fill);
+      }
+      .annotation-range {
+          fill: var(--pay-chart-annotation-fill);
+      }
+      .annotation-line {
+          stroke: var(--pay-chart-annotation-color);
+          stroke-width: 1;
+          stroke-dasharray: var(--pay-chart-annotation-dash);
+      }
+      .annotation-marker {
+          fill: var(--pay-chart-annotation-color);
+          stroke: var(--pay-chart-background);
+          stroke-width: 1.5;
+      }
+      .annotation-label {
+          fill: var(--pay-chart-annotation-color);
+          paint-order: stroke;
+          stroke: var(--pay-chart-background);
+          stroke-width: 3;
+      }
+      .export-title {
+          font-size: calc(var(--pay-chart-font-size) * 1.3);
+          font-weight: bold;
+      }
+      .band-table-text {
+          fill: var(--pay-chart-text-color);
+      }
+      .band-table-header,
+      .band-table-plan {
+          font-weight: bold;
+      }
+
+      @media print {
+          svg {
+              print-color-adjust: exact;
+          }
+      }
+
+      /* High contrast: system colors, the compared plans differ by the dash pattern */
+      @media (forced-colors: active) {
+          .axis,
+          .chart-line,
+          .one-x-line,
+          .gate-line,
+          .drop-line,
+          .cap-marker,
+          .annotation-line {
+              stroke: CanvasText;
+          }
+          .grid-line,
+          .population-rug {
+              stroke: GrayText;
+          }
+          .population-bar,
+          .annotation-range {
+              fill: GrayText;
+          }
+          .annotation-range {
+              fill-opacity: .2;
+          }
+          .zone,
+          .zone-swatch,
+          .earned-area {
+              fill: Highlight;
+          }
+          .earned-area {
+              fill-opacity: .3;
+          }
+          text,
+          .arrow-marker {
+              fill: CanvasText;
+          }
+          .marker-point {
+              fill: Highlight;
+              stroke: Canvas;
+          }
+          .marker-callout,
+          .marker-label,
+          .annotation-label {
+              stroke: Canvas;
+          }
+          .annotation-marker {
+              fill: CanvasText;
+              stroke: Canvas;
+          }
+          .chart-line.series-1 { stroke-dasharray: 6, 3; }
+          .chart-line.series-2 { stroke-dasharray: 2, 2; }
+          .chart-line.series-3 { stroke-dasharray: 8, 2, 2, 2; }
+          .chart-line.series-4 { stroke-dasharray: 1, 3; }
+          .chart-line.series-5 { stroke-dasharray: 10, 4; }
+      }
+      `;
+
+    /**
+     * The options of the chart with the defaults applied
+     * @type {RenderOptions} */
+    #options;
+    /**
+     * The plans of the chart, one series for each compared plan
+     * @type {Array<ChartSeries>} */
+    #series = [];
+    /**
+     * The payout rules of the first plan
+     * @type {PayPlan} */
+    #plan;
+    /**
+     * The custom marks of the chart data
+     * @type {Array<ChartAnnotation>} */
+    #annotations = [];
+    /**
+     * The padding in local coordinates.
+     * @typedef {Object} ElementPadding
+     * @property {number} left - space on the left of the chart area - includes the Y-axis labels
+     * @property {number} right - space on the right of the chart area
+     * @property {number} top - space on the top of the chart area
+     * @property {number} bottom - space on the bottom of the chart area - includes the X-axis labels
+     */
+    /** @type {ElementPadding} */
+    #padding;
+    /**
+     * the attainment percentage at the start of the X axis, above 0 when zoomed in
+     * @type {number} */
+    #xStart = 0;
+    /**
+     * the attainment percentage at the end of the X axis
+     * @type {number} */
+    #xEnd;
+    /**
+     * the highest payout percentage of the visible plans - the top of the Y axis
+     * @type {number} */
+    #yMax = 0;
+    /**
+     * prefix of the element ids, unique for each exported chart so several charts fit in one document
+     * @type {string} */
+    #idPrefix = "";
+    /**
+     * Number of the charts exported by `toSVGString()`, names the exported charts without an id
+     * @type {number} */
+    static #exports = 0;
+
+    /**
+     * Constructor for the renderer, the chart data is generated from the plan data
+     * @param {Object} data - The plan data, same as the chart `data` attribute: the `bands` with the optional
+     *                        `cap`, `floor`, `gates` and `metrics`, the compared `plans` or the weighted `measures`,
+     *                        and the `annotations`
+     * @param {RenderOptions} [options={}] - The options of the chart
+     */
+    constructor(data, options = {}) {
+        this.#options = {
+            width: 400,
+            height: 300,
+            fontSize: 16,
+            currency: "USD",
+            labels: {},
+            // The options not set keep the defaults
+            ...Object.fromEntries(Object.entries(options).filter(([, value]) => value !== null && value !== undefined)),
+            ticks: ["nice", "both"].includes(options.ticks) ? options.ticks : "breakpoints",
+            hidden: new Set(options.hidden)
+        };
+        this.#generateChartData(data);
+
+        // The padding follows the root font size and the X-axis label layout, the sparkline has only room for the line
+        const oneRem = this.#fontSize;
+        this.#padding = this.#options.sparkline
+            ? { left: 2, right: 2, top: 2, bottom: 2 }
+            : { left: oneRem * 4, right: oneRem, top: 0, bottom: oneRem * 3 };
+        if (!this.#options.sparkline && this.#series.length > 0 && this.#xLabelLayout.rotate) {
+            this.#padding.bottom += oneRem;
+        }
+    }
+
+    /**
+     * Validate the plan data, each of the compared plans when the data has several `plans`
+     * and each measure of the weighted `measures`
+     * @param {Object} data - The plan data
+     * @returns {Array<{index: ?number, field: ?string, message: string, plan?: number, measure?: number}>}
+     *          The problems found, the problems of the compared plans have the `plan` index
+     *          and the problems of the measures the `measure` index
+     */
+    static validate(data) {
+        const annotations = PayCurveRenderer.#validateAnnotations(data?.annotations);
+        if (data?.plans === undefined && data?.measures !== undefined) {
+            return [...PayCurveRenderer.#validateMeasures(data.measures), ...annotations];
+        }
+        if (data?.plans === undefined) {
+            return [...PayPlan.validate(data), ...annotations];
+        }
+        if (!Array.isArray(data.plans) || data.plans.length === 0) {
+            return [{ index: null, field: "plans", message: "plans must be an array with at least one plan" }, ...annotations];
+        }
+        return [...data.plans.flatMap((plan, index) => PayPlan.validate(plan)
+            .map((problem) => ({ ...problem, plan: index }))), ...annotations];
+    }
+
+    /**
+     * Format a validation problem with its location in the plan data, e.g. `plans[1].bands[0].rate: rate must be…`
+     * @param {{index: ?number, field: ?string, message: string, plan?: number, measure?: number}} problem
+     *          The problem found by `validate()`
+     * @returns {string} The located message
+     */
+    static formatProblem(problem) {
+        let location = problem.field ? `${problem.field}: ` : "";
+        if (problem.index !== null) {
+            location = `bands[${problem.index}]${problem.field ? "." + problem.field : ""}: `;
+        }
+        if (problem.plan !== undefined) {
+            location = `plans[${problem.plan}].${location}`;
+        }
+        if (problem.measure !== undefined) {
+            location = `measures[${problem.measure}].${location}`;
+        }
+        return location + problem.message;
+    }
+
+    /**
+     * Validate the measures of the weighted plan: the bands of each measure, its weight and attainment,
+     * the weights add up to 100
+     * @param {*} measures - The `measures` of the plan data
+     * @returns {Array<{index: ?number, field: ?string, message: string, measure?: number}>} The problems found
+     * @private
+     */
+    static #validateMeasures(measures) {
+        if (!Array.isArray(measures) || measures.length === 0) {
+            return [{ index: null, field: "measures", message: "measures must be an array with at least one measure" }];
+        }
+        const number = (value) => typeof value === "number" && Number.isFinite(value);
+        const problems = measures.flatMap((measure, index) => {
+            const problems = PayPlan.validate(measure).map((problem) => ({ ...problem, measure: index }));
+            if (!number(measure?.weight) || measure.weight <= 0) {
+                problems.push({ index: null, field: "weight", message: "weight must be a number > 0", measure: index });
+            }
+            if (measure?.attainment !== undefined && !(number(measure.attainment) && measure.attainment >= 0)) {
+                problems.push({ index: null, field: "attainment", message: "attainment must be a number >= 0", measure: index });
+            }
+            return problems;
+        });
+        const total = measures.reduce((total, measure) => total + (measure?.weight ?? 0), 0);
+        if (problems.length === 0 && Math.abs(total - 100) > 0.001) {
+            problems.push({ index: null, field: "measures", message: `the weights must add up to 100, not ${total}` });
+        }
+        return problems;
+    }
+
+    /**
+     * Validate the annotations of the chart data
+     * @param {*} annotations - The `annotations` of the chart data, optional
+     * @returns {Array<{index: null, field: string, message: string}>} The problems found
+     * @private
+     */
+    static #validateAnnotations(annotations) {
+        if (annotations === undefined) {
+            return [];
+        }
+        if (!Array.isArray(annotations)) {
+            return [{ index: null, field: "annotations", message: "annotations must be an array" }];
+        }
+        const problems = [];
+        const number = (value) => typeof value === "number" && Number.isFinite(value);
+        annotations.forEach((annotation, i) => {
+            const field = `annotations[${i}]`;
+            if (typeof annotation !== "object" || annotation === null) {
+                problems.push({ index: null, field, message: "annotation must be an object" });
+                return;
+            }
+            const { type } = annotation;
+            if (!PayCurveRenderer.annotationTypes.includes(type)) {
+                problems.push({ index: null, field: `${field}.type`,
+                    message: `type must be one of ${PayCurveRenderer.annotationTypes.join(", ")}` });
+                return;
+            }
+            if ((type === "x-line" || type === "point") && !(number(annotation.x) && annotation.x >= 0)) {
+                problems.push({ index: null, field: `${field}.x`, message: "x must be a number >= 0" });
+            }
+            if ((type === "y-line" || (type === "point" && annotation.y !== undefined))
+                && !(number(annotation.y) && annotation.y >= 0)) {
+                problems.push({ index: null, field: `${field}.y`, message: "y must be a number >= 0" });
+            }
+            if (type === "x-range" || type === "y-range") {
+                if (!(number(annotation.from) && annotation.from >= 0)) {
+                    problems.push({ index: null, field: `${field}.from`, message: "from must be a number >= 0" });
+                } else if (!(number(annotation.to) && annotation.to > annotation.from)) {
+                    problems.push({ index: null, field: `${field}.to`, message: "to must be a number > from" });
+                }
+            }
+            if (annotation.label !== undefined && typeof annotation.label !== "string") {
+                problems.push({ index: null, field: `${field}.label`, message: "label must be a string" });
+            }
+        });
+        return problems;
+    }
+
+    /**
+     * Get the values of the theme custom properties
+     * @param {string} [theme="light"] - The built-in theme: light or dark
+     * @returns {Object<string, string>} The values by the custom property name
+     */
+    static themeValues(theme = "light") {
+        const values = (text) => Object.fromEntries([...text.matchAll(/(--pay-chart-[\w-]+):\s*([^;]+);/g)]
+            .map(([, name, value]) => [name, value]));
+        return { ...values(PayCurveRenderer.themes.light), ...(theme === "dark" ? values(PayCurveRenderer.themes.dark) : {}) };
+    }
+
+    /**
+     * Get the class selecting the color of a plan, the plans after the last series color repeat the colors
+     * @param {number} index - The index of the plan
+     * @returns {string} The class name, `series-0` to `series-5`
+     */
+    static seriesClass(index) {
+        return `series-${index % PayCurveRenderer.seriesColors}`;
+    }
+
+    /**
+     * Generate the chart data from the pay bands
+     *
+     * With several plans in `data.plans` each plan gets its own series of the curve points,
+     * all the plans share the axes scaled to the largest range of the visible plans.
+     * The weighted `data.measures` are drawn the same way, each measure with its own payout.
+     *
+     * @param {Object} data - The plan data
+     * @private
+     */
+    #generateChartData(data) {
+        this.#plan = new PayPlan(data);
+        const measures = !Array.isArray(data?.plans) && Array.isArray(data?.measures);
+        const plans = Array.isArray(data?.plans) ? data.plans : measures ? data.measures : [data];
+        this.#series = plans.map((data, index) => {
+            const plan = new PayPlan(data);
+            const points = plan.breakpoints();
+            return {
+                index,
+                name: measures
+                    ? this.label("measureName", { measure: data.name ?? `Measure ${index + 1}`, weight: this.formatPercent(data.weight) })
+                    : data.name ?? `Plan ${index + 1}`,
+                weight: measures ? data.weight : undefined,
+                plan,
+                labels: points.map((point) => point.attainment),
+                values: points.map((point) => point.payout),
+                before: points.map((point) => point.before ?? point.payout)
+            };
+        }).filter((series) => series.labels.length > 0);
+        if (this.#series.length === 0) {
+            return;
+        }
+        this.#plan = this.#series[0].plan;
+        this.#annotations = Array.isArray(data.annotations) ? data.annotations : [];
+
+        // Add the last point 100% away from the last breakpoint (the last band minimum
+        // or where the cap starts), further if needed to show all the attainment markers
+        // and the annotations, the x-min and x-max options set the range instead
+        const { xMin, xMax, yMax } = this.#options;
+        const visible = this.visibleSeries;
+        const markers = PayCurveRenderer.markers
+            .map((name) => this.#options[name] ?? null)
+            .filter((value) => value !== null);
+        const annotated = (axis) => this.#annotations.map((annotation) => {
+            if (annotation.type === "point") {
+                return axis === "x" ? annotation.x : annotation.y ?? this.#markedSeries.plan.payoutAt(annotation.x);
+            }
+            return annotation.type.startsWith(axis) ? annotation[axis] ?? annotation.to : 0;
+        });
+        const start = Math.max(xMin ?? 0, 0);
+        let end = Math.max(...visible.map((series) => series.labels.at(-1) + 100), ...markers, ...annotated("x"));
+        if (xMax !== null && xMax !== undefined && xMax > start) {
+            end = xMax;
+        }
+        this.#xStart = start < end ? start : 0;
+        this.#series.forEach((series) => this.#clipSeries(series, this.#xStart, end));
+
+        this.#xEnd = this.#series[0].labels.at(-1);
+        // A plan paying nothing, e.g. all zero rates or a zero cap, still gets the Y axis up to the 100% payout
+        this.#yMax = yMax > 0 ? yMax : Math.max(...visible.flatMap((series) => series.values), ...annotated("y")) || 100;
+    }
+
+    /**
+     * The plans of the chart
+     * @type {Array<ChartSeries>}
+     */
+    get series() {
+        return this.#series;
+    }
+
+    /**
+     * The plans visible in the chart, without the hidden plans, all the plans if all of them are hidden
+     * @type {Array<ChartSeries>}
+     */
+    get visibleSeries() {
+        const visible = this.#series.filter((series) => !this.#options.hidden.has(series.index));
+        return visible.length > 0 ? visible : this.#series;
+    }
+
+    /**
+     * The payout rules of the first plan
+     * @type {PayPlan}
+     */
+    get plan() {
+        return this.#plan;
+    }
+
+    /**
+     * The first visible plan, the attainment markers, the earned area and the annotation points are on its curve
+     * @type {ChartSeries}
+     * @private
+     */
+    get #markedSeries() {
+        return this.visibleSeries[0];
+    }
+
+    /**
+     * The width of the chart in pixels
+     * @type {number}
+     */
+    get width() {
+        return this.#options.width;
+    }
+
+    /**
+     * The height of the chart in pixels
+     * @type {number}
+     */
+    get height() {
+        return this.#options.height;
+    }
+
+    /**
+     * The padding of the chart area, includes the axis labels
+     * @type {ElementPadding}
+     */
+    get padding() {
+        return this.#padding;
+    }
+
+    /**
+     * The attainment percentage at the start of the X axis
+     * @type {number}
+     */
+    get xStart() {
+        return this.#xStart;
+    }
+
+    /**
+     * The attainment percentage at the end of the X axis
+     * @type {number}
+     */
+    get xEnd() {
+        return this.#xEnd;
+    }
+
+    /**
+     * The payout percentage at the top of the Y axis
+     * @type {number}
+     */
+    get yMax() {
+        return this.#yMax;
+    }
+
+    /**
+     * The zones of the bands of the first plan inside the X axis range, named by the band `zone`
+     * or by the rate, shaded darker with the higher rate so the accelerators stand out
+     * @type {Array<{name: string, band: PayBand, min: number, max: number, opacity: number}>}
+     */
+    get zones() {
+        if (this.#series.length === 0) {
+            return [];
+        }
+        const highest = Math.max(...this.#plan.bands.map((band) => band.rate));
+        return this.#plan.bands.map((band) => ({
+            name: band.zone ?? this.label(band.rate > 2 ? "zoneSuperAccelerator" : band.rate > 1 ? "zoneAccelerator" : "zoneBase"),
+            band,
+            min: Math.max(band.min, this.#xStart),
+            max: Math.min(band.max ?? Infinity, this.#xEnd),
+            opacity: Number((0.04 + 0.26 * (highest > 0 ? band.rate / highest : 0)).toFixed(3))
+        })).filter((zone) => zone.min < zone.max);
+    }
+
+    /**
+     * The legend of the zones: each zone name once, with the darkest shading of its bands
+     * @type {Array<{name: string, opacity: number}>}
+     */
+    get zoneLegend() {
+        const legend = new Map();
+        this.zones.forEach((zone) => legend.set(zone.name, Math.max(zone.opacity, legend.get(zone.name) ?? 0)));
+        return [...legend].map(([name, opacity]) => ({ name, opacity }));
+    }
+
+    /**
+     * The root font size in pixels
+     * @type {number}
+     * @private
+     */
+    get #fontSize() {
+        return this.#options.fontSize;
+    }
+
+    /**
+     * The curves are cut at the top of the Y axis set by the `yMax` option
+     * @type {boolean}
+     * @private
+     */
+    get #clipped() {
+        return this.#options.yMax > 0;
+    }
+
+    /**
+     * The graph scale: the pixels per one attainment percentage on the X axis
+     * and per one payout percentage on the Y axis
+     * @type {{x: number, y: number}}
+     */
+    get scale() {
+        return {
+            x: (this.width - this.#padding.left - this.#padding.right) / (this.#xEnd - this.#xStart),
+            y: (this.height - this.#padding.top - this.#padding.bottom) / this.#yMax
+        };
+    }
+
+    /**
+     * Get the layout of the X-axis labels: rotated when the labels would overlap, e.g. on narrow mobile widths,
+     * and the minimum distance of the drawn labels - the labels closer to each other are left out
+     * @type {{rotate: boolean, spacing: number}}
+     */
+    get #xLabelLayout() {
+        const oneRem = this.#fontSize;
+        const fontSize = oneRem * 0.7;
+        const values = [...new Set(this.visibleSeries.flatMap((series) => series.labels.slice(0, -1)))]
+            .sort((a, b) => a - b);
+        // Estimate the text width from the number of characters
+        const textWidth = Math.max(0, ...[...values, this.#xEnd]
+            .map((value) => this.formatAttainment(value, true).length)) * fontSize * 0.6 + oneRem / 4;
+        if (this.#options.ticks === "nice") {
+            return { rotate: false, spacing: textWidth }; // The nice ticks are spaced to fit
+        }
+        const rotate = values.some((value, index) => index > 0 && (value - values[index - 1]) * this.scale.x < textWidth);
+        return { rotate, spacing: rotate ? fontSize * 1.2 : textWidth };
+    }
+
+    /**
+     * Whether the attainment is inside the X axis range
+     * @param {number} attainment - The attainment percentage
+     * @returns {boolean} True if the attainment is shown on the chart
+     */
+    inRange(attainment) {
+        return attainment >= this.#xStart && attainment <= this.#xEnd;
+    }
+
+    /**
+     * Whether the chart is mirrored for the right-to-left languages
+     * @type {boolean}
+     */
+    get rtl() {
+        return this.#options.dir === "rtl";
+    }
+
+    /**
+     * Get the X coordinate in the local coordinate system for the given attainment value
+     * @param {number} value - The attainment value to convert to the local coordinate system
+     * @returns {number} The X coordinate in the local coordinate system
+     */
+    x(value) {
+        const x = this.#padding.left + (value - this.#xStart) * this.scale.x;
+        return this.rtl ? this.width - x : x;
+    }
+
+    /**
+     * Get the horizontal offset from a point in the reading direction
+     * @param {number} offset - The offset in the left-to-right layout
+     * @returns {number} The offset mirrored in the right-to-left layout
+     */
+    dx(offset) {
+        return this.rtl ? -offset : offset;
+    }
+
+    /**
+     * Get the Y coordinate in the local coordinate system for the given payout value
+     * @param {number} value - The payout value to convert to the local coordinate system
+     * @returns {number} The Y coordinate in the local coordinate system
+     */
+    y(value) {
+        return this.height - this.#padding.bottom - value * this.scale.y;
+    }
+
+    /**
+     * Whether the amounts are shown in money - both the quota and the target incentive are set
+     * @type {boolean}
+     */
+    get currencyMode() {
+        return this.#options.quota > 0 && this.#options.targetIncentive > 0;
+    }
+
+    /**
+     * Get the number format for the locale option
+     * @param {Object} options - The Intl.NumberFormat options
+     * @returns {Intl.NumberFormat} The number format
+     */
+    numberFormat(options) {
+        try {
+            return new Intl.NumberFormat(this.#options.locale, options);
+        } catch (error) {
+            return new Intl.NumberFormat(undefined, options); // Unsupported locale
+        }
+    }
+
+    /**
+     * Get the translated text with the placeholders replaced
+     * @param {string} key - The label name, see the default labels
+     * @param {Object<string, string>} [values={}] - The formatted values of the `{name}` placeholders
+     * @returns {string} The text to render
+     */
+    label(key, values = {}) {
+        const label = this.#options.labels?.[key];
+        const text = typeof label === "string" ? label : PayCurveRenderer.defaultLabels[key]; // Not a translation, e.g. null
+        return text.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder);
+    }
+
+    /**
+     * Format the attainment - the percentage or the bookings in currency mode
+     * @param {number} attainment - The attainment percentage
+     * @param {boolean} [compact=false] - Use the short form of the bookings, e.g. $1.2M
+     * @returns {string} The formatted attainment
+     */
+    formatAttainment(attainment, compact = false) {
+        if (!this.currencyMode) {
+            return this.formatPercent(attainment);
+        }
+        const options = compact
+            ? { notation: "compact", maximumSignificantDigits: 3 }
+            : { maximumFractionDigits: 0 };
+        return this.numberFormat({ style: "currency", currency: this.#options.currency, ...options })
+            .format(attainment * this.#options.quota / 100);
+    }
+
+    /**
+     * Format the percentage for the locale, e.g. 150% or 150 %
+     * @param {number} value - The percentage
+     * @returns {string} The formatted percentage
+     */
+    formatPercent(value) {
+        return this.numberFormat({ style: "percent", maximumFractionDigits: 2 }).format(value / 100);
+    }
+
+    /**
+     * Format the payout - the percentage or the amount in currency mode
+     * @param {number} payout - The payout percentage
+     * @returns {string} The formatted payout
+     */
+    formatPayout(payout) {
+        if (!this.currencyMode) {
+            return this.formatPercent(payout);
+        }
+        return this.numberFormat({ style: "currency", currency: this.#options.currency, maximumFractionDigits: 0 })
+            .format(payout * this.#options.targetIncentive / 100);
+    }
+
+    /**
+     * Format the payout rate - the multiplier or the commission rate of the bookings in currency mode
+     * @param {number} rate - The payout rate
+     * @returns {string} The formatted rate
+     */
+    formatRate(rate) {
+        if (!this.currencyMode) {
+            return this.label("rateValue", { rate: this.numberFormat({ maximumFractionDigits: 2 }).format(rate) });
+        }
+        return this.numberFormat({ style: "percent", maximumFractionDigits: 2 })
+            .format(rate * this.#options.targetIncentive / this.#options.quota);
+    }
+
+    /**
+     * Describe the band rate with the payout model of the band, e.g. "2x + 10% kicker" for the step band
+     * @param {PayBand} band - The band
+     * @returns {string} The formatted band rate
+     */
+    formatBandRate(band) {
+        const rate = this.formatRate(band.rate);
+        switch (band.type) {
+            case "step":
+                return this.label("kickerRate", { rate, bonus: this.formatPayout(band.bonus) });
+            case "tier":
+                return this.label("tierRate", { rate });
+            case "decelerator":
+                return this.label("deceleratorRate", {
+                    rate,
+                    capRate: this.formatRate(band.capRate),
+                    cap: this.formatPayout(band.cap)
+                });
+            default:
+                return rate;
+        }
+    }
+
+    /**
+     * Get the unit shown in the axis titles - the percent sign or the currency symbol
+     * @returns {string} The unit
+     */
+    unit() {
+        if (!this.currencyMode) {
+            return "%";
+        }
+        return this.numberFormat({ style: "currency", currency: this.#options.currency })
+            .formatToParts(0).find((part) => part.type === "currency").value;
+    }
+
+    /**
+     * Create an SVG element
+     * @param {string} name - The element name
+     * @returns {SvgNode} The element
+     * @private
+     */
+    #create(name) {
+        return new SvgNode(name);
+    }
+
+    /**
+     * Generate the round axis values, e.g. 0, 25, 50, 75, independent of the breakpoints
+     * @param {number} min - The start of the axis
+     * @param {number} max - The end of the axis
+     * @param {number} count - The maximum number of the values that fit on the axis
+     * @returns {Array<number>} The multiples of 1, 2, 2.5 or 5 times a power of ten between min and max
+     * @private
+     */
+    static #niceTicks(min, max, count) {
+        const raw = (max - min) / Math.max(Math.floor(count), 1);
+        if (!(raw > 0)) {
+            return [];
+        }
+        const magnitude = 10 ** Math.floor(Math.log10(raw));
+        const step = [1, 2, 2.5, 5, 10].map((factor) => factor * magnitude).find((candidate) => candidate >= raw);
+        const ticks = [];
+        for (let index = Math.ceil(min / step); index * step <= max + 1e-9; index++) {
+            ticks.push(Number((index * step).toPrecision(12))); // Drop the floating point noise
+        }
+        return ticks;
+    }
+
+    /**
+     * Keep the curve points of a plan inside the X axis range, with the points at the range ends
+     * @param {ChartSeries} series - The plan
+     * @param {number} start - The attainment at the start of the X axis
+     * @param {number} end - The attainment at the end of the X axis
+     * @private
+     */
+    #clipSeries(series, start, end) {
+        const points = series.labels
+            .map((attainment, index) => ({ attainment, payout: series.values[index], before: series.before[index] }))
+            .filter((point) => point.attainment >= start && point.attainment < end);
+        if (start > 0) {
+            // The curve starts at the zoomed range, without a jump
+            if (points[0]?.attainment !== start) {
+                points.unshift({ attainment: start, payout: series.plan.payoutAt(start) });
+            }
+            points[0].before = points[0].payout;
+        }
+        const payout = series.plan.payoutAt(end);
+        points.push({ attainment: end, payout, before: payout });
+
+        series.labels = points.map((point) => point.attainment);
+        series.values = points.map((point) => point.payout);
+        series.before = points.map((point) => point.before);
+    }
+
+    /**
+     * Draw the grid lines and labels for the X and Y axes
+     * 
+     * Each visible plan draws the grid lines to its own breakpoints. The labels are shared,
+     * a label is drawn once per value and the labels too close to an already drawn label
+     * are skipped to keep them readable. The breakpoint labels are drawn first, the nice ticks
+     * fill the gaps between them.
+     * 
+     * @param {SvgNode} svg - The SVG element to which the grid lines and labels are added
+     * @private
+     */
+    #drawGridLinesWithLabels(svg) {
+        const oneRem = this.#fontSize;
+        const visible = this.visibleSeries;
+        const layout = this.#xLabelLayout;
+        const spacing = { x: layout.spacing, y: oneRem * 0.8 };
+        const xLabels = new Map(); // value -> X coordinate of the drawn labels
+        const yLabels = new Map(); // value -> Y coordinate of the drawn labels
+        const hasRoom = (drawn, value, position, space) => !drawn.has(value)
+            && [...drawn.values()].every((other) => Math.abs(other - position) >= space);
+        const breakpointLabels = this.#options.ticks !== "nice";
+
+        const addXLabel = (value) => {
+            const x = this.x(value);
+            if (!hasRoom(xLabels, value, x, spacing.x)) {
+                return;
+            }
+            xLabels.set(value, x);
+            const text = this.#create("text");
+            text.setAttribute("x", x);
+            text.setAttribute("y", this.y(0) + (layout.rotate ? oneRem * 0.75 : 20));
+            if (layout.rotate) {
+                // Slanted down towards the Y axis
+                text.setAttribute("transform", `rotate(${this.rtl ? 45 : -45}, ${x}, ${this.y(0) + oneRem * 0.75})`);
+                text.classList.add("rotated");
+            }
+            text.classList.add("axis-label", "x-axis-label");
+            text.setAttribute("part", "axis-label x-axis-label");
+            text.textContent = this.formatAttainment(value, true);
+            svg.appendChild(text);
+        };
+        const addYLabel = (value) => {
+            const y = this.y(value);
+            if (!hasRoom(yLabels, value, y, spacing.y)) {
+                return;
+            }
+            yLabels.set(value, y);
+            const text = this.#create("text");
+            text.setAttribute("x", this.x(this.#xStart) - this.dx(10));
+            text.setAttribute("y", y + 5);
+            text.classList.add("axis-label", "y-axis-label");
+            text.setAttribute("part", "axis-label y-axis-label");
+            text.textContent = this.formatPayout(value);
+            svg.appendChild(text);
+        };
+
+        visible.forEach((series) => {
+            // Draw X-axis grid lines and labels
+            series.labels.forEach((value, index) => {
+                const x = this.x(value);
+
+                // don't draw the last tick
+                if (index == series.labels.length - 1) {
+                    return;
+                }
+
+                // Grid line
+                const gridLine = this.#create("line");
+                gridLine.setAttribute("x1", x);
+                gridLine.setAttribute("y1", this.y(series.values[index]));
+                gridLine.setAttribute("x2", x);
+                gridLine.setAttribute("y2", this.y(0));
+                gridLine.classList.add("grid-line");
+                gridLine.setAttribute("part", "grid-line");
+                svg.appendChild(gridLine);
+
+                if (breakpointLabels) {
+                    addXLabel(value);
+                }
+            });
+
+            // Draw Y-axis grid lines and labels
+            series.values.forEach((value, index) => {
+                const y = this.y(value);
+
+                // don't draw the last tick
+                if (index == series.values.length - 1) {
+                    return;
+                }
+
+                // Grid line
+                const gridLine = this.#create("line");
+                gridLine.setAttribute("x1", this.x(this.#xStart));
+                gridLine.setAttribute("y1", y);
+                gridLine.setAttribute("x2", this.x(series.labels[index]));
+                gridLine.setAttribute("y2", y);
+                gridLine.classList.add("grid-line");
+                gridLine.setAttribute("part", "grid-line");
+                svg.appendChild(gridLine);
+
+                if (breakpointLabels && value <= this.#yMax) {
+                    addYLabel(value);
+                }
+            });
+        });
+
+        // Round values spaced to fit the axes, between the breakpoint labels
+        if (this.#options.ticks !== "breakpoints") {
+            const end = this.#xEnd;
+            PayCurveRenderer.#niceTicks(this.#xStart, end, Math.abs(this.x(end) - this.x(this.#xStart)) / (spacing.x * 1.5))
+                .forEach(addXLabel);
+            PayCurveRenderer.#niceTicks(0, this.#yMax, (this.y(0) - this.y(this.#yMax)) / (oneRem * 2))
+                .forEach(addYLabel);
+        }
+    }
+
+    /**
+     * Shade the zones of the bands behind the chart, the opacity follows the band rate
+     * @param {SvgNode} svg - The SVG element to which the zones are added
+     * @private
+     */
+    #drawZones(svg) {
+        const group = this.#create("g");
+        group.classList.add("zones");
+        this.zones.forEach((zone) => {
+            const area = this.#create("rect");
+            area.setAttribute("x", Math.min(this.x(zone.min), this.x(zone.max)));
+            area.setAttribute("y", this.y(this.#yMax));
+            area.setAttribute("width", Math.abs(this.x(zone.max) - this.x(zone.min)));
+            area.setAttribute("height", this.y(0) - this.y(this.#yMax));
+            area.setAttribute("fill-opacity", zone.opacity);
+            area.classList.add("zone");
+            area.setAttribute("part", "zone");
+            const min = this.formatAttainment(zone.band.min);
+            const title = this.#create("title");
+            title.textContent = this.label("tooltip", {
+                name: zone.name,
+                value: zone.band.max === undefined
+                    ? this.label("bandFrom", { min })
+                    : this.label("bandRange", { min, max: this.formatAttainment(zone.band.max) })
+            });
+            area.appendChild(title);
+            group.appendChild(area);
+        });
+        svg.appendChild(group);
+    }
+
+    /**
+     * Fill the area under the curve of the first visible plan up to the actual attainment - the payout already earned
+     * @param {SvgNode} svg - The SVG element to which the area is added
+     * @private
+     */
+    #drawEarnedArea(svg) {
+        const attainment = this.#options.attainment;
+        const series = this.#markedSeries;
+        let pathData = `M${this.x(this.#xStart)},${this.y(0)} L${this.x(this.#xStart)},${this.y(series.plan.payoutAt(this.#xStart))}`;
+        series.labels.forEach((label, index) => {
+            if (label > this.#xStart && label <= attainment) {
+                pathData += ` L${this.x(label)},${this.y(series.before[index])} L${this.x(label)},${this.y(series.values[index])}`;
+            }
+        });
+        pathData += ` L${this.x(attainment)},${this.y(series.plan.payoutAt(attainment))} L${this.x(attainment)},${this.y(0)} Z`;
+        const area = this.#create("path");
+        area.setAttribute("d", pathData);
+        area.classList.add("earned-area");
+        area.setAttribute("part", "earned-area");
+        if (this.#clipped) {
+            area.setAttribute("clip-path", `url(#${this.#id("plot-area")})`);
+        }
+        svg.appendChild(area);
+    }
+
+    /**
+     * Draw the population under the curve along the X axis: the histogram of the rep attainments,
+     * or a rug of one tick per rep with `population-style="rug"`
+     * @param {SvgNode} svg - The SVG element to which the population is added
+     * @private
+     */
+    #drawPopulation(svg) {
+        const oneRem = this.#fontSize;
+        const end = this.#xEnd;
+        const attainments = this.#options.population.filter((attainment) => this.inRange(attainment));
+        const group = this.#create("g");
+        group.classList.add("population");
+        group.setAttribute("part", "population");
+
+        if (this.#options.populationStyle === "rug") {
+            attainments.forEach((attainment) => {
+                const tick = this.#create("line");
+                tick.setAttribute("x1", this.x(attainment));
+                tick.setAttribute("y1", this.y(0));
+                tick.setAttribute("x2", this.x(attainment));
+                tick.setAttribute("y2", this.y(0) - oneRem / 2);
+                tick.classList.add("population-rug");
+                group.appendChild(tick);
+            });
+            svg.appendChild(group);
+            return;
+        }
+
+        // Bins about one rem wide at the round attainments, the highest bar a quarter of the chart height
+        const edges = PayCurveRenderer.#niceTicks(this.#xStart, end, Math.abs(this.x(end) - this.x(this.#xStart)) / oneRem);
+        const width = edges[1] - edges[0];
+        if (edges[0] > this.#xStart) {
+            edges.unshift(edges[0] - width);
+        }
+        const counts = edges.map((edge) => attainments.filter((attainment) => attainment >= edge && attainment < edge + width).length);
+        const height = (this.y(0) - this.y(this.#yMax)) / 4 / Math.max(...counts, 1);
+        edges.forEach((edge, index) => {
+            if (counts[index] === 0) {
+                return;
+            }
+            const from = Math.max(edge, this.#xStart);
+            const to = Math.min(edge + width, end);
+            const bar = this.#create("rect");
+            bar.setAttribute("x", Math.min(this.x(from), this.x(to)));
+            bar.setAttribute("y", this.y(0) - counts[index] * height);
+            bar.setAttribute("width", Math.abs(this.x(to) - this.x(from)));
+            bar.setAttribute("height", counts[index] * height);
+            bar.classList.add("population-bar");
+            bar.setAttribute("part", "population-bar");
+            const title = this.#create("title");
+            title.textContent = this.label("populationBin", {
+                range: this.label("bandRange", { min: this.formatAttainment(from), max: this.formatAttainment(to) }),
+                count: this.numberFormat().format(counts[index])
+            });
+            bar.appendChild(title);
+            group.appendChild(bar);
+        });
+        svg.appendChild(group);
+    }
+
+    /**
+     * Get the Y coordinate of the middle of the curve segment starting at the given attainment
+     * @param {ChartSeries} series - The plan of the curve
+     * @param {number} attainment - The attainment percentage of a breakpoint
+     * @returns {number} The Y coordinate in the local coordinate system
+     * @private
+     */
+    #segmentMiddleY(series, attainment) {
+        const index = series.labels.indexOf(attainment);
+        const next = Math.min(index + 1, series.labels.length - 1);
+        return (this.y(series.values[index]) + this.y(series.before[next])) / 2;
+    }
+
+    /**
+     * Draw the gates
+     * 
+     * A gate on a second metric with unknown attainment draws the dashed gate not met curve next to the chart
+     * line. A gate on the plan attainment draws a dashed line at its threshold, the chart line itself shows
+     * the gate not met rate and the payout jump of the retroactive gate.
+     * 
+     * @param {SvgNode} svg - The SVG element to which the gates are added
+     * @param {ChartSeries} series - The plan with the gates
+     * @private
+     */
+    #drawGates(svg, series) {
+        const oneRem = this.#fontSize;
+        const end = series.labels.at(-1);
+        const plan = series.plan;
+
+        const addLabel = (x, y, met, text) => {
+            const labelText = this.#create("text");
+            labelText.setAttribute("x", x);
+            labelText.setAttribute("y", y);
+            labelText.classList.add("gate-label", met ? "acceleration-label" : "no-acceleration-label",
+                PayCurveRenderer.seriesClass(series.index));
+            labelText.setAttribute("part", met ? "gate-label gate-met-label" : "gate-label gate-unmet-label");
+            labelText.textContent = text;
+            svg.appendChild(labelText);
+        };
+
+        plan.gates.filter((gate) => this.inRange(gate.at) && gate.at < end).forEach((gate) => {
+            const metLabel = gate.label ?? this.label("gateMet");
+            const unmetLabel = gate.unmetLabel ?? this.label("gateNotMet");
+
+            if (gate.metric === undefined) {
+                // Gate on the plan attainment - dashed line at the threshold
+                const gateLine = this.#create("line");
+                gateLine.setAttribute("x1", this.x(gate.threshold));
+                gateLine.setAttribute("y1", this.y(0));
+                gateLine.setAttribute("x2", this.x(gate.threshold));
+                gateLine.setAttribute("y2", this.y(plan.payoutAt(gate.threshold)));
+                gateLine.classList.add("gate-line", PayCurveRenderer.seriesClass(series.index));
+                gateLine.setAttribute("part", "gate-line");
+                svg.appendChild(gateLine);
+
+                if (!this.inRange(gate.threshold) || gate.threshold === end) {
+                    return; // The threshold is outside the zoomed range
+                }
+
+                // Gate met label next to the accelerated segment
+                addLabel(this.x(this.#xStart) + this.dx(oneRem / 2), this.#segmentMiddleY(series, gate.threshold) - 5, true, metLabel);
+
+                // Gate not met label under the gated segment below the threshold
+                if (gate.threshold > gate.at) {
+                    const x = (gate.at + gate.threshold) / 2;
+                    addLabel(this.x(x), this.y(plan.payoutAt(x)) + oneRem, false, unmetLabel);
+                }
+                return;
+            }
+
+            // Gate on a second metric
+            const value = plan.metrics[gate.metric];
+            if (value !== undefined) {
+                // The chart line shows the known state of the gate
+                const met = value >= gate.threshold;
+                addLabel(this.x(this.#xStart) + this.dx(oneRem / 2), this.#segmentMiddleY(series, gate.at) - 5, met, met ? metLabel : unmetLabel);
+                return;
+            }
+
+            // Unknown state - draw the gate not met dashed line from the gate
+            const unmet = { ...plan.metrics, [gate.metric]: -Infinity };
+            const unmetLine = this.#create("path");
+            let unmetPath = `M${this.x(gate.at)},${this.y(plan.payoutAt(gate.at, unmet))}`;
+            plan.breakpoints(unmet)
+                .filter((point) => point.attainment > gate.at && point.attainment < end)
+                .forEach((point) => {
+                    unmetPath += ` L${this.x(point.attainment)},${this.y(point.before ?? point.payout)}`;
+                    unmetPath += ` L${this.x(point.attainment)},${this.y(point.payout)}`;
+                });
+            unmetPath += ` L${this.x(end)},${this.y(plan.payoutAt(end, unmet))}`;
+            unmetLine.setAttribute("d", unmetPath);
+            unmetLine.classList.add("one-x-line", PayCurveRenderer.seriesClass(series.index));
+            unmetLine.setAttribute("part", "gate-unmet-line");
+            if (this.#clipped) {
+                unmetLine.setAttribute("clip-path", `url(#${this.#id("plot-area")})`);
+            }
+            svg.appendChild(unmetLine);
+
+            // Label the dashed line close to its end and the accelerated segment
+            const x = series.labels.at(-2) > gate.at ? series.labels.at(-2) : (gate.at + end) / 2;
+            addLabel(this.x(x), this.y(plan.payoutAt(x, unmet)) + oneRem, false, unmetLabel);
+            addLabel(this.x(this.#xStart) + this.dx(oneRem / 2), this.#segmentMiddleY(series, gate.at) - 5, true, metLabel);
+        });
+    }
+
+    /**
+     * Draw the chart line of a plan and add the band rate labels
+     * @param {SvgNode} svg - The SVG element to which the chart line is added
+     * @param {ChartSeries} series - The plan to draw
+     * @private
+     */
+    #drawSeries(svg, series) {
+        const path = this.#create("path");
+        let pathData = `M${this.x(this.#xStart)},${this.y(series.plan.payoutAt(this.#xStart))}`;
+        series.labels.forEach((label, index) => {
+            const x = this.x(label);
+            const y = this.y(series.values[index]);
+            const yBefore = this.y(series.before[index]);
+            pathData += ` L${x},${yBefore}`;
+            if (yBefore !== y) {
+                pathData += ` L${x},${y}`; // Vertical jump
+
+                // Label the kicker of the step band next to the jump
+                const step = series.plan.bands.find((band) => band.min === label && band.type === "step");
+                if (step && step.bonus > 0) {
+                    const kicker = this.#create("text");
+                    kicker.setAttribute("x", x + this.dx(4));
+                    kicker.setAttribute("y", (yBefore + y) / 2);
+                    kicker.classList.add("kicker-label", PayCurveRenderer.seriesClass(series.index));
+                    kicker.setAttribute("part", "rate-label kicker-label");
+                    kicker.textContent = this.label("kicker", { payout: this.formatPayout(step.bonus) });
+                    svg.appendChild(kicker);
+                }
+            }
+
+            // Add band rate labels at the midpoint of each segment
+            if (index > 0) {
+                const prevX = this.x(series.labels[index - 1]);
+                const prevY = this.y(series.values[index - 1]);
+                const midX = (prevX + x) / 2;
+                const midY = (prevY + yBefore) / 2;
+
+                // Find the corresponding rate, no rate label on the flat capped or floored segments
+                const middle = (series.labels[index - 1] + label) / 2;
+                const band = series.plan.bandAt(middle);
+                const rate = series.plan.marginalRate(middle);
+                if (band && (band.rate === 0 || rate > 0) && midY >= this.y(this.#yMax)) {
+                    const labelText = this.#create("text");
+                    labelText.setAttribute("x", midX - this.dx(5));
+                    labelText.setAttribute("y", midY - 5); // Position above the line
+                    labelText.classList.add("band-rate-label", PayCurveRenderer.seriesClass(series.index));
+                    labelText.setAttribute("part", "rate-label");
+                    // The whole-tier rate is paid on all attainment, not only inside the band
+                    labelText.textContent = band.type === "tier"
+                        ? this.label("tierRate", { rate: this.formatRate(rate) })
+                        : this.formatRate(rate);
+                    svg.appendChild(labelText);
+                }
+            }
+        });
+        path.setAttribute("d", pathData);
+        path.classList.add("chart-line", PayCurveRenderer.seriesClass(series.index));
+        path.setAttribute("part", `curve curve-${series.index}`);
+        path.setAttribute("marker-end", `url(#${this.#id(`arrowhead-${series.index}`)})`); // Add arrowhead to the end of the line
+        if (this.#clipped) {
+            path.setAttribute("clip-path", `url(#${this.#id("plot-area")})`);
+        }
+        svg.appendChild(path);
+    }
+
+    /**
+     * Mark the plan payout limits: where the plan cap and the band caps start
+     * and the flat section of the guaranteed floor
+     * @param {SvgNode} svg - The SVG element to which the limit markers are added
+     * @param {ChartSeries} series - The plan with the limits
+     * @private
+     */
+    #drawLimits(svg, series) {
+        const oneRem = this.#fontSize;
+
+        series.plan.breakpoints().filter((point) => this.inRange(point.attainment)).forEach((point) => {
+            const x = this.x(point.attainment);
+            const y = this.y(point.payout);
+            if (point.kind === "cap" || point.kind === "band-cap") {
+                const marker = this.#create("circle");
+                marker.setAttribute("cx", x);
+                marker.setAttribute("cy", y);
+                marker.setAttribute("r", 3);
+                marker.classList.add("cap-marker", PayCurveRenderer.seriesClass(series.index));
+                marker.setAttribute("part", "cap-marker");
+                svg.appendChild(marker);
+
+                const text = this.#create("text");
+                text.setAttribute("x", x + this.dx(oneRem / 2));
+                text.setAttribute("y", y - oneRem / 2); // Above the flat capped section
+                text.classList.add("cap-label");
+                text.setAttribute("part", "cap-label");
+                text.textContent = point.kind === "cap"
+                    ? this.label("cap", { payout: this.formatPayout(point.payout) })
+                    : this.label("bandCap");
+                svg.appendChild(text);
+            } else if (point.kind === "floor") {
+                const text = this.#create("text");
+                text.setAttribute("x", this.x(this.#xStart) + this.dx(oneRem / 2));
+                text.setAttribute("y", y - oneRem / 2); // Above the flat floor section
+                text.classList.add("floor-label");
+                text.setAttribute("part", "floor-label");
+                text.textContent = this.label("floor", { payout: this.formatPayout(point.payout) });
+                svg.appendChild(text);
+            }
+        });
+    }
+
+    /**
+     * Draw the attainment markers: the highlighted actual attainment with the drop lines
+     * and the earned payout callout, and the target and forecast ghost markers
+     * @param {SvgNode} svg - The SVG element to which the markers are added
+     * @private
+     */
+    #drawMarkers(svg) {
+        const oneRem = this.#fontSize;
+        const names = { target: this.label("target"), forecast: this.label("forecast"), attainment: this.label("actual") };
+
+        PayCurveRenderer.markers.forEach((name) => {
+            const attainment = this.#options[name];
+            if (attainment === null || !this.inRange(attainment)) {
+                return;
+            }
+            const payout = this.#markedSeries.plan.payoutAt(attainment);
+            const x = this.x(attainment);
+            const y = this.y(payout);
+
+            const group = this.#create("g");
+            group.classList.add("marker", `${name}-marker`);
+            group.setAttribute("part", `marker ${name}-marker`);
+            if (name !== "attainment") {
+                group.classList.add("ghost-marker");
+            }
+
+            if (name === "attainment") {
+                // Drop lines to both axes
+                const dropX = this.#create("line");
+                dropX.setAttribute("x1", x);
+                dropX.setAttribute("y1", y);
+                dropX.setAttribute("x2", x);
+                dropX.setAttribute("y2", this.y(0));
+                dropX.classList.add("drop-line");
+                group.appendChild(dropX);
+                const dropY = this.#create("line");
+                dropY.setAttribute("x1", this.x(this.#xStart));
+                dropY.setAttribute("y1", y);
+                dropY.setAttribute("x2", x);
+                dropY.setAttribute("y2", y);
+                dropY.classList.add("drop-line");
+                group.appendChild(dropY);
+            }
+
+            const point = this.#create("circle");
+            point.setAttribute("cx", x);
+            point.setAttribute("cy", y);
+            point.setAttribute("r", name === "attainment" ? 5 : 4);
+            point.classList.add("marker-point");
+            point.setAttribute("part", "marker-point");
+            const title = this.#create("title");
+            title.textContent = this.label("markerTitle", {
+                marker: names[name],
+                name: this.label(this.currencyMode ? "bookings" : "attainment"),
+                attainment: this.formatAttainment(attainment),
+                payoutName: this.label("payout"),
+                payout: this.formatPayout(payout)
+            });
+            point.appendChild(title);
+            group.appendChild(point);
+
+            // Callout with the earned payout for the actual attainment, the name for the ghost markers
+            const text = this.#create("text");
+            text.setAttribute("x", x - this.dx(oneRem / 2));
+            text.setAttribute("y", y - oneRem / 2);
+            text.classList.add(name === "attainment" ? "marker-callout" : "marker-label");
+            text.setAttribute("part", name === "attainment" ? "marker-callout" : "marker-label");
+            text.textContent = name === "attainment" 
+                ? this.label("earned", { payout: this.formatPayout(payout) })
+                : names[name];
+            group.appendChild(text);
+
+            svg.appendChild(group);
+        });
+    }
+
+    /**
+     * Get the part of the range annotation inside the axis ranges
+     * @param {ChartAnnotation} annotation - The X or Y range annotation
+     * @returns {?{from: number, to: number}} The visible range, null if the range is outside the axes
+     * @private
+     */
+    #annotationRange(annotation) {
+        const [min, max] = annotation.type === "x-range" ? [this.#xStart, this.#xEnd] : [0, this.#yMax];
+        const from = Math.max(annotation.from, min);
+        const to = Math.min(annotation.to, max);
+        return from < to ? { from, to } : null;
+    }
+
+    /**
+     * Draw the shaded regions of the range annotations, under the grid and the curves
+     * @param {SvgNode} svg - The SVG element to which the regions are added
+     * @private
+     */
+    #drawAnnotationRanges(svg) {
+        this.#annotations.filter((annotation) => annotation.type.endsWith("-range")).forEach((annotation) => {
+            const range = this.#annotationRange(annotation);
+            if (!range) {
+                return;
+            }
+            const [x1, x2, y1, y2] = annotation.type === "x-range"
+                ? [this.x(range.from), this.x(range.to), this.y(0), this.y(this.#yMax)]
+                : [this.x(this.#xStart), this.x(this.#xEnd), this.y(range.from), this.y(range.to)];
+            const area = this.#create("rect");
+            area.setAttribute("x", Math.min(x1, x2));
+            area.setAttribute("y", Math.min(y1, y2));
+            area.setAttribute("width", Math.abs(x2 - x1));
+            area.setAttribute("height", Math.abs(y2 - y1));
+            area.classList.add("annotation-range", `annotation-${annotation.type}`);
+            area.setAttribute("part", "annotation-range");
+            svg.appendChild(area);
+        });
+    }
+
+    /**
+     * Estimate the box of a text label from the number of characters
+     * @param {string} text - The label text
+     * @param {number} x - The X coordinate of the text anchor
+     * @param {number} y - The Y coordinate of the baseline
+     * @param {string} anchor - The text anchor: "start", "middle" or "end" in the reading direction
+     * @returns {{left: number, right: number, top: number, bottom: number}} The box in the local coordinates
+     * @private
+     */
+    #labelBox(text, x, y, anchor) {
+        const fontSize = this.#fontSize * 0.7;
+        const width = text.length * fontSize * 0.6;
+        const left = anchor === "middle" ? x - width / 2 : (anchor === "end") !== this.rtl ? x - width : x;
+        return { left, right: left + width, top: y - fontSize, bottom: y + fontSize / 4 };
+    }
+
+    /**
+     * Find the position of an annotation label inside the chart, clear of the other labels
+     *
+     * The candidate positions are tried in order, then again moved by a line at a time in their direction.
+     *
+     * @param {string} text - The label text
+     * @param {Array<{x: number, y: number, anchor: string, step: number}>} candidates - The positions
+     *          of the label, the step moves the label down (1) or up (-1)
+     * @param {Array<{left: number, right: number, top: number, bottom: number}>} taken - The boxes
+     *          of the drawn labels, the box of the placed label is added
+     * @returns {{x: number, y: number, anchor: string}} The label position, the first candidate if none is clear
+     * @private
+     */
+    #placeLabel(text, candidates, taken) {
+        const inside = (box) => box.left >= 0 && box.right <= this.width && box.top >= 0 && box.bottom <= this.height;
+        const clear = (box) => taken.every((other) => box.right <= other.left || box.left >= other.right
+            || box.bottom <= other.top || box.top >= other.bottom);
+        for (let shift = 0; shift < 4; shift++) {
+            for (const candidate of candidates) {
+                const y = candidate.y + candidate.step * shift * this.#fontSize;
+                const box = this.#labelBox(text, candidate.x, y, candidate.anchor);
+                if (inside(box) && clear(box)) {
+                    taken.push(box);
+                    return { ...candidate, y };
+                }
+            }
+        }
+        return candidates[0];
+    }
+
+    /**
+     * Draw the reference lines, the point markers and the labels of the annotations,
+     * the labels are kept clear of the band rate labels and the other drawn labels
+     * @param {SvgNode} svg - The SVG element to which the annotations are added
+     * @private
+     */
+    #drawAnnotations(svg) {
+        const oneRem = this.#fontSize;
+        const top = this.y(this.#yMax);
+        const start = this.x(this.#xStart);
+        const end = this.x(this.#xEnd);
+
+        // The text anchors of the labels already drawn, the kicker label is centered on its Y coordinate
+        const anchors = { "band-rate-label": "end", "kicker-label": "start", "gate-label": "start", "cap-label": "start", "floor-label": "start" };
+        const taken = svg.children.flatMap((node) => {
+            const name = node.getAttribute("class")?.split(" ").find((name) => name in anchors);
+            if (node.localName !== "text" || !name) {
+                return [];
+            }
+            const y = Number(node.getAttribute("y")) + (name === "kicker-label" ? oneRem * 0.35 : 0);
+            return [this.#labelBox(node.textContent, Number(node.getAttribute("x")), y, anchors[name])];
+        });
+
+        const line = (x1, y1, x2, y2) => {
+            const node = this.#create("line");
+            node.setAttribute("x1", x1);
+            node.setAttribute("y1", y1);
+            node.setAttribute("x2", x2);
+            node.setAttribute("y2", y2);
+            node.classList.add("annotation-line");
+            node.setAttribute("part", "annotation-line");
+            return node;
+        };
+
+        this.#annotations.forEach((annotation) => {
+            const group = this.#create("g");
+            group.classList.add("annotation", `annotation-${annotation.type}`);
+            group.setAttribute("part", `annotation annotation-${annotation.type}`);
+            let candidates;
+
+            if (annotation.type === "x-line") {
+                if (!this.inRange(annotation.x)) {
+                    return;
+                }
+                const x = this.x(annotation.x);
+                group.appendChild(line(x, this.y(0), x, top));
+                // Along the top of the line, on either side
+                candidates = [
+                    { x: x + this.dx(4), y: top + oneRem, anchor: "start", step: 1 },
+                    { x: x - this.dx(4), y: top + oneRem, anchor: "end", step: 1 }
+                ];
+            } else if (annotation.type === "y-line") {
+                if (annotation.y > this.#yMax) {
+                    return;
+                }
+                const y = this.y(annotation.y);
+                group.appendChild(line(start, y, end, y));
+                // Above or below the line, at its end or its start
+                candidates = [
+                    { x: end, y: y - 4, anchor: "end", step: -1 },
+                    { x: end, y: y + oneRem, anchor: "end", step: 1 },
+                    { x: start + this.dx(4), y: y - 4, anchor: "start", step: -1 },
+                    { x: start + this.dx(4), y: y + oneRem, anchor: "start", step: 1 }
+                ];
+            } else if (annotation.type === "point") {
+                const payout = annotation.y ?? this.#markedSeries.plan.payoutAt(annotation.x);
+                if (!this.inRange(annotation.x) || payout > this.#yMax) {
+                    return;
+                }
+                const x = this.x(annotation.x);
+                const y = this.y(payout);
+                const point = this.#create("circle");
+                point.setAttribute("cx", x);
+                point.setAttribute("cy", y);
+                point.setAttribute("r", 4);
+                point.classList.add("annotation-marker");
+                point.setAttribute("part", "annotation-marker");
+                group.appendChild(point);
+                // Around the point, above first like the marker labels
+                candidates = [
+                    { x: x - this.dx(oneRem / 2), y: y - oneRem / 2, anchor: "end", step: -1 },
+                    { x: x + this.dx(oneRem / 2), y: y - oneRem / 2, anchor: "start", step: -1 },
+                    { x: x + this.dx(oneRem / 2), y: y + oneRem, anchor: "start", step: 1 },
+                    { x: x - this.dx(oneRem / 2), y: y + oneRem, anchor: "end", step: 1 }
+                ];
+            } else {
+                // The shaded region is drawn under the curves, the label inside its top edge
+                const range = this.#annotationRange(annotation);
+                if (!range) {
+                    return;
+                }
+                candidates = annotation.type === "x-range"
+                    ? [{ x: (this.x(range.from) + this.x(range.to)) / 2, y: top + oneRem, anchor: "middle", step: 1 }]
+                    : [
+                        { x: start + this.dx(4), y: this.y(range.to) + oneRem, anchor: "start", step: 1 },
+                        { x: end - this.dx(4), y: this.y(range.to) + oneRem, anchor: "end", step: 1 }
+                    ];
+            }
+
+            if (annotation.label) {
+                const position = this.#placeLabel(annotation.label, candidates, taken);
+                const text = this.#create("text");
+                text.setAttribute("x", position.x);
+                text.setAttribute("y", position.y);
+                text.setAttribute("text-anchor", position.anchor);
+                text.classList.add("annotation-label");
+                text.setAttribute("part", "annotation-label");
+                text.textContent = annotation.label;
+                group.appendChild(text);
+            }
+            if (group.children.length > 0) {
+                svg.appendChild(group);
+            }
+        });
+    }
+
+    /**
+     * Describe the visible plans for the screen readers, e.g. "1x up to 100%, 2.5x from 100% to 200%"
+     * @returns {string} The text summary of the plans
+     */
+    summary() {
+        const summaries = this.visibleSeries.map((series) => {
+            const plan = series.plan;
+            const parts = plan.bands.map((band, index) => {
+                const values = {
+                    rate: this.formatBandRate(band),
+                    min: this.formatAttainment(band.min),
+                    max: this.formatAttainment(band.max)
+                };
+                if (band.max === undefined) {
+                    return this.label("summaryLast", values);
+                }
+                return this.label(index === 0 && band.min === 0 ? "summaryFirst" : "summaryBand", values);
+            });
+            plan.gates.forEach((gate) => {
+                parts.push(this.label("summaryGate", { attainment: this.formatAttainment(gate.at) }));
+            });
+            if (plan.floor !== undefined) {
+                parts.push(this.label("summaryFloor", { payout: this.formatPayout(plan.floor) }));
+            }
+            if (plan.cap !== undefined) {
+                parts.push(this.label("summaryCap", { payout: this.formatPayout(plan.cap) }));
+            }
+            return this.#series.length > 1
+                ? this.label("summaryPlan", { plan: series.name, summary: parts.join(", ") })
+                : parts.join(", ");
+        });
+        return summaries.join("; ");
+    }
+
+    /**
+     * Create the table of the bands of the visible plans for the export: the attainment range,
+     * the rate and the payout range of each band
+     * @param {number} top - The Y coordinate of the table top
+     * @returns {{group: SvgNode, height: number}} The table and its height
+     * @private
+     */
+    #createBandTable(top) {
+        const oneRem = this.#fontSize;
+        const lineHeight = oneRem * 1.1;
+        const group = this.#create("g");
+        group.classList.add("band-table");
+        const columns = [0, 0.45, 0.65].map((at) => this.x(this.#xStart) + this.dx(at * Math.abs(this.x(this.#xEnd) - this.x(this.#xStart))));
+        const range = (min, max) => max === undefined
+            ? this.label("bandFrom", { min })
+            : this.label("bandRange", { min, max });
+        let y = top + lineHeight;
+
+        const addRow = (texts, className) => {
+            texts.forEach((content, index) => {
+                const text = this.#create("text");
+                text.setAttribute("x", columns[index]);
+                text.setAttribute("y", y);
+                text.classList.add("band-table-text", className);
+                text.textContent = content;
+                group.appendChild(text);
+            });
+            y += lineHeight;
+        };
+
+        this.visibleSeries.forEach((series) => {
+            if (this.#series.length > 1) {
+                addRow([series.name], "band-table-plan");
+            }
+            addRow([this.currencyMode ? "bookings" : "attainment", "rate", "payout"].map((name) => this.label(name)),
+                "band-table-header");
+            series.plan.bands.forEach((band) => {
+                const end = band.max === undefined ? undefined : series.plan.payoutAt(band.max - 1e-9);
+                addRow([
+                    range(this.formatAttainment(band.min), band.max === undefined ? undefined : this.formatAttainment(band.max)),
+                    this.formatBandRate(band),
+                    range(this.formatPayout(series.plan.payoutAt(band.min)), end === undefined ? undefined : this.formatPayout(end))
+                ], "band-table-row");
+            });
+        });
+        return { group, height: y - top };
+    }
+
+    /**
+     * Create the legend of the zones below the chart in the standalone SVG, a shaded swatch and the name of each zone
+     * @param {number} top - The Y coordinate of the top of the legend
+     * @returns {{group: SvgNode, height: number}} The legend and its height
+     * @private
+     */
+    #createZoneLegend(top) {
+        const oneRem = this.#fontSize;
+        const size = oneRem * 0.6;
+        const group = this.#create("g");
+        group.classList.add("zone-legend");
+        let x = this.x(this.#xStart);
+        this.zoneLegend.forEach((zone) => {
+            const swatch = this.#create("rect");
+            swatch.setAttribute("x", this.rtl ? x - size : x);
+            swatch.setAttribute("y", top + oneRem - size);
+            swatch.setAttribute("width", size);
+            swatch.setAttribute("height", size);
+            swatch.setAttribute("fill-opacity", zone.opacity);
+            swatch.classList.add("zone-swatch");
+            const text = this.#create("text");
+            text.setAttribute("x", x + this.dx(size + oneRem / 4));
+            text.setAttribute("y", top + oneRem);
+            text.classList.add("zone-legend-text");
+            text.textContent = zone.name;
+            group.append(swatch, text);
+            // Estimate the text width from the number of characters
+            x += this.dx(size + oneRem / 4 + zone.name.length * oneRem * 0.7 * 0.6 + oneRem);
+        });
+        return { group, height: oneRem * 1.5 };
+    }
+
+    /**
+     * Draw the chart: the axes, the grid, the population, the curves of the visible plans and the markers
+     * @returns {SvgNode} The `svg` element of the chart, empty without the plan data
+     */
+    render() {
+        const oneRem = this.#fontSize;
+
+        // create the cotainer SVG element
+        const svg = this.#create("svg");
+        svg.setAttribute("width", this.width);
+        svg.setAttribute("height", this.height);
+        svg.setAttribute("viewBox", `0 0 ${this.width} ${this.height}`); // Scales with CSS until the next render
+        if (this.#series.length === 0) {
+            return svg;
+        }
+        svg.setAttribute("part", "chart");
+
+        // Accessible name and the text summary of the plans
+        svg.setAttribute("role", "img");
+        svg.setAttribute("aria-labelledby", this.#id("chart-title"));
+        svg.setAttribute("aria-describedby", this.#id("chart-summary"));
+        const title = this.#create("title");
+        title.setAttribute("id", this.#id("chart-title"));
+        title.textContent = this.label("chartTitle");
+        svg.appendChild(title);
+        const summary = this.#create("desc");
+        summary.setAttribute("id", this.#id("chart-summary"));
+        summary.textContent = this.summary();
+        svg.appendChild(summary);
+
+        // Define an arrowhead marker for each plan
+        const defs = this.#create("defs");
+        this.#series.forEach((series) => {
+            const marker = this.#create("marker");
+            marker.setAttribute("id", this.#id(`arrowhead-${series.index}`));
+            marker.setAttribute("markerWidth", "9");
+            marker.setAttribute("markerHeight", "5");
+            marker.setAttribute("refX", "7");
+            marker.setAttribute("refY", "2.5");
+            marker.setAttribute("orient", "auto");
+            const arrow = this.#create("path");
+            arrow.setAttribute("d", "M0,0 L8,2.5 L0,5 Z");
+            marker.classList.add("arrow-marker", PayCurveRenderer.seriesClass(series.index));
+            marker.appendChild(arrow);
+            defs.appendChild(marker);
+        });
+        if (this.#clipped) {
+            // The curves above the yMax option are cut at the top of the Y axis
+            const clip = this.#create("clipPath");
+            clip.setAttribute("id", this.#id("plot-area"));
+            const area = this.#create("rect");
+            area.setAttribute("x", Math.min(this.x(this.#xStart), this.x(this.#xEnd)));
+            area.setAttribute("y", this.y(this.#yMax));
+            area.setAttribute("width", Math.abs(this.x(this.#xEnd) - this.x(this.#xStart)));
+            area.setAttribute("height", this.y(0) - this.y(this.#yMax));
+            clip.appendChild(area);
+            defs.appendChild(clip);
+        }
+        svg.appendChild(defs);
+
+        // Add X-axis title
+        const xAxisTitle = this.#create("text");
+        xAxisTitle.setAttribute("x", (this.x(this.#xStart) + this.x(this.#xEnd)) / 2); // Center the title label on the X-axis
+        xAxisTitle.setAttribute("y", this.height - oneRem / 3);
+        xAxisTitle.classList.add("axis-title");
+        xAxisTitle.setAttribute("part", "axis-title x-axis-title");
+        xAxisTitle.textContent = this.label("axisTitle", {
+            name: this.label(this.currencyMode ? "bookings" : "attainment"),
+            unit: this.unit()
+        });
+        svg.appendChild(xAxisTitle);
+
+        // Add Y-axis title
+        const yAxisTitle = this.#create("text");
+        yAxisTitle.setAttribute("x",
+            - (this.height - this.#padding.bottom - this.#padding.top) / 2);
+        // Along the left edge, the right edge in the right-to-left layout
+        yAxisTitle.setAttribute("y", this.rtl ? this.width : 0);
+        yAxisTitle.setAttribute("transform", "rotate(-90)");
+        yAxisTitle.setAttribute("dominant-baseline", this.rtl ? "auto" : "hanging");
+        yAxisTitle.classList.add("axis-title");
+        yAxisTitle.setAttribute("part", "axis-title y-axis-title");
+        yAxisTitle.textContent = this.label("axisTitle", { name: this.label("payout"), unit: this.unit() });
+        svg.appendChild(yAxisTitle);
+
+        // Draw X and Y axes
+        const xAxis = this.#create("line");
+        xAxis.setAttribute("x1", this.x(this.#xStart));
+        xAxis.setAttribute("y1", this.height - this.#padding.bottom);
+        xAxis.setAttribute("x2", this.x(this.#xEnd));
+        xAxis.setAttribute("y2", this.height - this.#padding.bottom);
+        xAxis.classList.add("axis");
+        xAxis.setAttribute("part", "axis x-axis");
+        svg.appendChild(xAxis);
+
+        const yAxis = this.#create("line");
+        yAxis.setAttribute("x1", this.x(this.#xStart));
+        yAxis.setAttribute("y1", this.#padding.top);
+        yAxis.setAttribute("x2", this.x(this.#xStart));
+        yAxis.setAttribute("y2", this.height - this.#padding.bottom);
+        yAxis.classList.add("axis");
+        yAxis.setAttribute("part", "axis y-axis");
+        svg.appendChild(yAxis);
+
+        // The band zones behind everything else
+        if (this.#options.zones) {
+            this.#drawZones(svg);
+        }
+
+        // The reps of the population under the curve
+        if (this.#options.population) {
+            this.#drawPopulation(svg);
+        }
+
+        // The shaded regions of the annotations
+        this.#drawAnnotationRanges(svg);
+
+        // The payout earned up to the actual attainment
+        if (this.#options.attainment !== undefined && this.inRange(this.#options.attainment)) {
+            this.#drawEarnedArea(svg);
+        }
+
+        // Draw XY-axis grid lines and labels
+        this.#drawGridLinesWithLabels(svg);
+
+        this.visibleSeries.forEach((series) => {
+            // Draw the gate lines and labels
+            this.#drawGates(svg, series);
+
+            // Draw the chart line and add band rate labels
+            this.#drawSeries(svg, series);
+
+            // Mark where the payout is capped and floored
+            this.#drawLimits(svg, series);
+        });
+
+        // The reference lines, points and labels of the annotations, placed around the rate labels
+        this.#drawAnnotations(svg);
+
+        // Draw the actual, target and forecast attainment markers
+        this.#drawMarkers(svg);
+        if (this.#series.length > 1) {
+            svg.classList.add("compare");
+        }
+        return svg;
+    }
+
+    /**
+     * Draw the compact sparkline of the chart on a canvas: the zones, the earned area, the curves of the visible plans
+     * and the actual attainment point, without the axes and the labels. Use the `sparkline` option for the layout.
+     *
+     * The canvas has no custom properties, the colors are the resolved values of the theme custom properties,
+     * e.g. from the computed style of the chart element. The missing colors are taken from the light theme.
+     *
+     * @param {CanvasRenderingContext2D} context - The 2D context of the canvas, scaled to the chart size
+     * @param {Object<string, string>} [colors={}] - The values of the theme custom properties,
+     *          e.g. `{ "--pay-chart-series-0": "teal" }`
+     */
+    drawSparkline(context, colors = {}) {
+        const theme = { ...PayCurveRenderer.themeValues(), ...colors };
+        context.clearRect(0, 0, this.width, this.height);
+        if (this.#series.length === 0) {
+            return;
+        }
+        const left = this.x(this.#xStart);
+        const right = this.x(this.#xEnd);
+        context.save();
+        if (this.#clipped) {
+            context.beginPath();
+            context.rect(Math.min(left, right), this.y(this.#yMax), Math.abs(right - left), this.y(0) - this.y(this.#yMax));
+            context.clip();
+        }
+        if (this.#options.zones) {
+            context.fillStyle = theme["--pay-chart-zone-color"];
+            this.zones.forEach((zone) => {
+                context.globalAlpha = zone.opacity;
+                context.fillRect(Math.min(this.x(zone.min), this.x(zone.max)), this.y(this.#yMax),
+                    Math.abs(this.x(zone.max) - this.x(zone.min)), this.y(0) - this.y(this.#yMax));
+            });
+            context.globalAlpha = 1;
+        }
+
+        // The same points as the SVG paths of the curves, the vertical jumps included
+        const trace = (series, end) => {
+            series.labels.forEach((label, index) => {
+                if (label > this.#xStart && label <= end) {
+                    context.lineTo(this.x(label), this.y(series.before[index]));
+                    context.lineTo(this.x(label), this.y(series.values[index]));
+                }
+            });
+        };
+        const attainment = this.#options.attainment;
+        const marked = attainment !== undefined && this.inRange(attainment);
+        if (marked) {
+            context.beginPath();
+            context.moveTo(left, this.y(0));
+            context.lineTo(left, this.y(this.#markedSeries.plan.payoutAt(this.#xStart)));
+            trace(this.#markedSeries, attainment);
+            context.lineTo(this.x(attainment), this.y(this.#markedSeries.plan.payoutAt(attainment)));
+            context.lineTo(this.x(attainment), this.y(0));
+            context.closePath();
+            context.fillStyle = theme["--pay-chart-earned-fill"];
+            context.fill();
+        }
+        context.lineWidth = 1.5;
+        context.lineJoin = "round";
+        this.visibleSeries.forEach((series) => {
+            context.beginPath();
+            context.moveTo(left, this.y(series.plan.payoutAt(this.#xStart)));
+            trace(series, this.#xEnd);
+            context.strokeStyle = theme[`--pay-chart-${PayCurveRenderer.seriesClass(series.index)}`];
+            context.stroke();
+        });
+        context.restore();
+
+        if (marked) {
+            context.beginPath();
+            context.arc(this.x(attainment), this.y(this.#markedSeries.plan.payoutAt(attainment)), 2.5, 0, Math.PI * 2);
+            context.fillStyle = theme["--pay-chart-marker-color"];
+            context.fill();
+        }
+    }
+
+    /**
+     * Get the id of a chart element, prefixed in the exported chart
+     * @param {string} name - The id in the chart
+     * @returns {string} The element id
+     * @private
+     */
+    #id(name) {
+        return `${this.#idPrefix}${name}`;
+    }
+
+    /**
+     * Scope the style rules to the exported chart, the other elements of the document keep their styles
+     * @param {string} styles - The CSS rules
+     * @param {string} scope - The class of the exported `svg` element
+     * @returns {string} The rules with the selectors inside the chart
+     * @private
+     */
+    static #scopeStyles(styles, scope) {
+        const selector = (text) => text.startsWith("svg") ? `svg.${scope}${text.slice(3)}` : `.${scope} ${text}`;
+        return styles.replace(/\/\*[\s\S]*?\*\//g, "").replace(/([^{}]+)\{/g, (rule, prelude) => prelude.trim().startsWith("@")
+            ? rule
+            : `${prelude.match(/^\s*/)[0]}${prelude.split(",").map((text) => selector(text.trim())).join(", ")} {`);
+    }
+
+    /**
+     * Render the chart as a standalone SVG document
+     *
+     * The styles are inlined with the theme custom properties resolved, so the chart looks the same
+     * outside the page, e.g. in an email or a document.
+     *
+     * @param {Object} [options] - The document options
+     * @param {string} [options.title] - Title drawn above the chart
+     * @param {boolean} [options.table=false] - Add the table of the bands below the chart
+     * @param {string} [options.theme="light"] - The built-in theme: light or dark
+     * @param {Object<string, string>} [options.properties={}] - Values of the theme custom properties
+     *          overriding the theme, e.g. `{ "--pay-chart-series-0": "teal" }`
+     * @param {string} [options.id] - Name of the chart unique in the document, e.g. in an email with several
+     *          charts: the class of the `svg` element scoping the styles and the prefix of the element ids,
+     *          `pay-chart-1`, `pay-chart-2`… in the order of the exports if not given
+     * @returns {string} The SVG markup
+     */
+    toSVGString({ title, table = false, theme = "light", properties = {}, id = `pay-chart-${++PayCurveRenderer.#exports}` } = {}) {
+        if (this.#series.length === 0) {
+            throw new Error("The chart has no valid data to export");
+        }
+        const oneRem = this.#fontSize;
+        this.#idPrefix = `${id}-`;
+        let svg;
+        try {
+            svg = this.render();
+        } finally {
+            this.#idPrefix = "";
+        }
+        svg.classList.add(id);
+        if (this.rtl) {
+            // The page sets the direction of the component, the text anchors of the standalone SVG need their own
+            svg.setAttribute("direction", "rtl");
+        }
+
+        // Move the chart below the title, the band table goes under the chart
+        const titleHeight = title ? oneRem * 1.5 : 0;
+        const content = this.#create("g");
+        content.setAttribute("transform", `translate(0, ${titleHeight})`);
+        const kept = (node) => ["title", "desc", "defs"].includes(node.localName);
+        content.append(...svg.children.filter((node) => !kept(node)));
+        svg.children = svg.children.filter(kept);
+        const zones = this.#options.zones && this.zones.length > 0 ? this.#createZoneLegend(this.height + titleHeight) : null;
+        const bands = table ? this.#createBandTable(this.height + titleHeight + (zones?.height ?? 0)) : null;
+        const height = Math.ceil(this.height + titleHeight + (zones?.height ?? 0) + (bands?.height ?? 0));
+
+        const themeValues = Object.entries({ ...PayCurveRenderer.themeValues(theme), ...properties })
+            .map(([name, value]) => `${name}: ${value};`);
+        const style = this.#create("style");
+        style.textContent = PayCurveRenderer.#scopeStyles(`svg { ${themeValues.join(" ")} }${PayCurveRenderer.styles}`, id);
+
+        const background = this.#create("rect");
+        background.setAttribute("width", "100%");
+        background.setAttribute("height", "100%");
+        background.setAttribute("fill", "var(--pay-chart-background)");
+        svg.append(style, background, content);
+        if (title) {
+            const text = this.#create("text");
+            text.setAttribute("x", this.width / 2);
+            text.setAttribute("y", oneRem);
+            text.classList.add("axis-title", "export-title");
+            text.textContent = title;
+            svg.appendChild(text);
+        }
+        if (zones) {
+            svg.appendChild(zones.group);
+        }
+        if (bands) {
+            svg.appendChild(bands.group);
+        }
+        svg.setAttribute("height", height);
+        svg.setAttribute("viewBox", `0 0 ${this.width} ${height}`);
+        return svg.toString();
+    }
+}
@@ -0,0 +1,697 @@
+// pay-plan.mjs
+/**
+MIT License
+
+Copyright (c) 2025 David Chovanec
+
+Permission is hereby granted, free of charge, to any person obtaining a copy
+of this software and associated documentation files (the "Software"), to deal
+in the Software without restriction, including without limitation the rights
+to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+copies of the Software, and to permit persons to whom the Software is
+furnished to do so, subject to the following conditions:
+
+The above copyright notice and this permission notice shall be included in all
+copies or substantial portions of the Software.
+
+THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+SOFTWARE.
+*/
+
+/**
+ * A pay band - the marginal payout rate paid on the attainment inside the band
+ * @typedef {Object} PayBand
+ * @property {number} min - attainment percentage where the band starts
+ * @property {number} [max] - attainment percentage where the band ends, open-ended if missing
+ * @property {number} rate - payout percentage paid per one attainment percentage in the band
+ * @property {number} [cap] - maximum payout percentage earned in the band, the decelerator band pays
+ *                         the `capRate` above it
+ * @property {string} [type] - the payout model of the band: "linear" - the `rate` is paid on the attainment
+ *                             inside the band (default), "step" - the flat `bonus` (kicker) is paid once the band
+ *                             `min` is reached, on top of the `rate`, "tier" - the `rate` of the band is paid
+ *                             on the whole attainment, replacing the payout of the bands below,
+ *                             "decelerator" - the reduced `capRate` is paid above the band `cap`
+ * @property {number} [bonus] - payout percentage paid at the `min` of the step band
+ * @property {number} [capRate] - rate paid above the `cap` of the decelerator band
+ * @property {string} [zone] - name of the band zone in the chart, e.g. "Accelerator"
+ */
+
+/**
+ * A point on the pay curve
+ * @typedef {Object} PayPoint
+ * @property {number} attainment - attainment percentage
+ * @property {number} payout - payout percentage
+ * @property {number} [before] - payout percentage just below the attainment, set only where the payout jumps
+ * @property {string} [kind] - what makes the breakpoint: "band" - a band minimum, "gate" - a gate,
+ *                             "band-cap" - a band cap is reached, "floor" - the payout rises above the floor,
+ *                             "cap" - the plan cap is reached
+ */
+
+/**
+ * A gate - the accelerated band rates above the gate are paid only when the gate is met
+ * @typedef {Object} PayGate
+ * @property {number} at - attainment percentage where the gated part of the curve starts
+ * @property {number} [threshold] - attainment needed to meet the gate, defaults to `at`;
+ *                                  for the gate on a second metric it's the attainment of that metric
+ * @property {string} [metric] - name of a second metric the gate is measured on, e.g. "margin";
+ *                               the gate is on the plan attainment if missing
+ * @property {number} [rate] - payout rate of the gated part while the gate is not met, 1 by default
+ * @property {boolean} [retroactive] - once the gate is met, the gated attainment below the threshold is paid
+ *                                     at the band rates too, false by default
+ * @property {string} [label] - label of the gate met part of the curve
+ * @property {string} [unmetLabel] - label of the gate not met part of the curve
+ */
+
+/**
+ * A problem found in the plan data
+ * @typedef {Object} PlanProblem
+ * @property {?number} index - index of the band with the problem, null for the plan level problems
+ * @property {?string} field - the field with the problem, e.g. "min" or "bands"
+ * @property {string} message - description of the problem
+ */
+
+/**
+ * The payout rules of a pay plan.
+ *
+ * The plan math has no dependency on the DOM, it is shared by the chart component
+ * and can be used as is on the server, e.g. in Node:
+ *
+ *     import { PayPlan } from "./components/pay-plan.mjs";
+ *     const plan = new PayPlan({ bands: [{ min: 0, max: 100, rate: 1 }, { min: 100, rate: 2 }] });
+ *     plan.payoutAt(120); // 140
+ */
+export class PayPlan {
+    /**
+     * The payout models of the bands
+     * @type {Array<string>}
+     */
+    static types = ["linear", "step", "tier", "decelerator"];
+
+    /**
+     * The pay bands of the plan
+     * @type {Array<PayBand>} */
+    #bands;
+    /**
+     * The maximum total payout percentage, no cap if undefined
+     * @type {number|undefined} */
+    #cap;
+    /**
+     * The guaranteed minimum payout percentage, no floor if undefined
+     * @type {number|undefined} */
+    #floor;
+    /**
+     * The gates of the plan with the defaults applied
+     * @type {Array<PayGate>} */
+    #gates;
+    /**
+     * The attainment of the second metrics the gates are measured on, e.g. { margin: 95 }
+     * @type {Object<string, number>} */
+    #metrics;
+
+    /**
+     * Constructor for the pay plan
+     * @param {Object} data - The plan data, same as the chart `data` attribute
+     * @param {Array<PayBand>} data.bands - The pay bands sorted by the `min` attainment
+     * @param {number} [data.cap] - The maximum total payout percentage
+     * @param {number} [data.floor] - The guaranteed minimum payout percentage
+     * @param {Array<PayGate>} [data.gates] - The gates of the plan
+     * @param {boolean} [data.hasgate] - Shorthand for a gate on an unnamed second metric at the second band
+     * @param {Object<string, number>} [data.metrics] - The attainment of the second metrics, a gate on a metric
+     *                                                  missing here is considered met
+     */
+    constructor(data) {
+        this.#bands = Array.isArray(data?.bands) ? data.bands : [];
+        this.#cap = data?.cap ?? undefined;
+        this.#floor = data?.floor ?? undefined;
+        this.#metrics = data?.metrics ?? {};
+
+        let gates = Array.isArray(data?.gates) ? data.gates : [];
+        if (data?.hasgate && gates.length === 0 && this.#bands.length > 1) {
+            // The accelerated bands are paid only when an external condition is met
+            gates = [{ at: this.#bands[1].min, metric: "gate" }];
+        }
+        this.#gates = gates.map((gate) => ({
+            ...gate,
+            threshold: gate.threshold ?? gate.at,
+            rate: gate.rate ?? 1,
+            retroactive: gate.retroactive ?? false
+        }));
+    }
+
+    /**
+     * Validate the plan data
+     *
+     * The bands must be sorted by `min`, contiguous (each band `max` equals the next band `min`),
+     * with non-negative rates and the last band open-ended.
+     *
+     * @param {Object} data - The plan data, same as the chart `data` attribute
+     * @returns {Array<PlanProblem>} The problems found, empty if the data is valid
+     */
+    static validate(data) {
+        const problems = [];
+        const problem = (index, field, message) => problems.push({ index, field, message });
+        const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+        if (data === null || typeof data !== "object" || Array.isArray(data)) {
+            problem(null, null, "data must be an object");
+            return problems;
+        }
+        if (!Array.isArray(data.bands)) {
+            problem(null, "bands", "bands must be an array");
+            return problems;
+        }
+        if (data.bands.length === 0) {
+            problem(null, "bands", "bands must contain at least one band");
+            return problems;
+        }
+
+        data.bands.forEach((band, index) => {
+            if (band === null || typeof band !== "object") {
+                problem(index, null, "band must be an object");
+                return;
+            }
+            if (!isNumber(band.min)) {
+                problem(index, "min", "min must be a number");
+            }
+            if (band.max !== undefined && !isNumber(band.max)) {
+                problem(index, "max", "max must be a number or missing for the open-ended band");
+            } else if (isNumber(band.min) && isNumber(band.max) && band.max <= band.min) {
+                problem(index, "max", `max (${band.max}) must be greater than min (${band.min})`);
+            }
+            if (!isNumber(band.rate)) {
+                problem(index, "rate", "rate must be a number");
+            } else if (band.rate < 0) {
+                problem(index, "rate", `rate (${band.rate}) must not be negative`);
+            }
+            if (band.cap !== undefined && !(isNumber(band.cap) && band.cap >= 0)) {
+                problem(index, "cap", "cap must be a non-negative number");
+            }
+            if (band.zone !== undefined && typeof band.zone !== "string") {
+                problem(index, "zone", "zone must be a string");
+            }
+            if (band.type !== undefined && !PayPlan.types.includes(band.type)) {
+                problem(index, "type", `type must be one of ${PayPlan.types.join(", ")}`);
+            } else if (band.type === "step" && !(isNumber(band.bonus) && band.bonus >= 0)) {
+                problem(index, "bonus", "the step band needs a non-negative bonus");
+            } else if (band.type === "decelerator") {
+                if (band.cap === undefined) {
+                    problem(index, "cap", "the decelerator band needs a cap");
+                }
+                if (!(isNumber(band.capRate) && band.capRate >= 0)) {
+                    problem(index, "capRate", "the decelerator band needs a non-negative capRate");
+                }
+            }
+
+            // Check the band is contiguous with the previous one
+            const previous = data.bands[index - 1];
+            if (index === 0 || !isNumber(band.min) || !isNumber(previous?.min)) {
+                return;
+            }
+            if (band.min < previous.min) {
+                problem(index, "min", `min (${band.min}) must not be lower than the previous band min (${previous.min})`);
+            } else if (previous.max === undefined) {
+                problem(index - 1, "max", "only the last band can be open-ended");
+            } else if (isNumber(previous.max) && previous.max > band.min) {
+                problem(index, "min", `band overlaps the previous band ending at ${previous.max}`);
+            } else if (isNumber(previous.max) && previous.max < band.min) {
+                problem(index, "min", `gap between the previous band ending at ${previous.max} and this band`);
+            }
+        });
+
+        const last = data.bands.length - 1;
+        if (data.bands[last]?.max !== undefined) {
+            problem(last, "max", "the last band must be open-ended (no max)");
+        }
+
+        // Plan level payout limits
+        if (data.cap !== undefined && !(isNumber(data.cap) && data.cap > 0)) {
+            problem(null, "cap", "cap must be a positive number");
+        }
+        if (data.floor !== undefined && !(isNumber(data.floor) && data.floor >= 0)) {
+            problem(null, "floor", "floor must be a non-negative number");
+        } else if (isNumber(data.floor) && isNumber(data.cap) && data.floor > data.cap) {
+            problem(null, "floor", `floor (${data.floor}) must not be greater than cap (${data.cap})`);
+        }
+
+        // Gates
+        if (data.gates !== undefined && !Array.isArray(data.gates)) {
+            problem(null, "gates", "gates must be an array");
+        } else {
+            (data.gates ?? []).forEach((gate, index) => {
+                const field = (name) => `gates[${index}].${name}`;
+                if (gate === null || typeof gate !== "object") {
+                    problem(null, `gates[${index}]`, "gate must be an object");
+                    return;
+                }
+                if (!(isNumber(gate.at) && gate.at >= 0)) {
+                    problem(null, field("at"), "at must be a non-negative number");
+                }
+                if (gate.threshold !== undefined && !isNumber(gate.threshold)) {
+                    problem(null, field("threshold"), "threshold must be a number");
+                } else if (gate.metric === undefined && isNumber(gate.threshold) && isNumber(gate.at)
+                    && gate.threshold < gate.at) {
+                    problem(null, field("threshold"), `threshold (${gate.threshold}) must not be lower than at (${gate.at})`);
+                }
+                if (gate.rate !== undefined && !(isNumber(gate.rate) && gate.rate >= 0)) {
+                    problem(null, field("rate"), "rate must be a non-negative number");
+                }
+                if (gate.metric !== undefined && typeof gate.metric !== "string") {
+                    problem(null, field("metric"), "metric must be a string");
+                }
+                if (gate.retroactive !== undefined && typeof gate.retroactive !== "boolean") {
+                    problem(null, field("retroactive"), "retroactive must be true or false");
+                }
+            });
+        }
+        return problems;
+    }
+
+    /**
+     * Parse the pay bands from CSV, e.g. a spreadsheet export
+     *
+     * Each row is a band: `min,max,rate`, with the `max` of the open-ended last band left empty.
+     * The cells can be separated by tabs (pasted spreadsheet cells), commas or semicolons, the separator found most
+     * in the first row, and quoted with `"`. An optional header row names the columns in any order, `min`, `max`, `rate`
+     * and the optional band fields `cap`, `type`, `bonus`, `capRate` and `zone`, the other columns are ignored.
+     * The numbers may have a `%` sign after them, thousands separators (`1,000`) or a decimal comma (`1,5`).
+     *
+     *     PayPlan.fromCSV("min,max,rate\n0,100,1\n100,,2"); // { bands: [{ min: 0, max: 100, rate: 1 }, { min: 100, rate: 2 }] }
+     *
+     * @param {string} text - The CSV text
+     * @returns {{bands: Array<PayBand>}} The plan data, validate it with `PayPlan.validate()`
+     * @throws {SyntaxError} If a cell is not a number
+     */
+    static fromCSV(text) {
+        const rows = String(text).split(/\r?\n/).filter((line) => line.trim() !== "");
+        // Tabs win, the formatted numbers of the pasted cells may have commas, e.g. "1,000" or "1,5"
+        const first = (rows[0] ?? "").replace(/"[^"]*"/g, "");
+        const count = (candidate) => first.split(candidate).length - 1;
+        const separator = count("\t") > 0 ? "\t" : count(";") >= count(",") && count(";") > 0 ? ";" : ",";
+        const split = (line) => {
+            const cells = [""];
+            let quoted = false;
+            for (let i = 0; i < line.length; i++) {
+                if (line[i] === '"' && quoted && line[i + 1] === '"') {
+                    cells[cells.length - 1] += '"'; // Escaped quote
+                    i++;
+                } else if (line[i] === '"') {
+                    quoted = !quoted;
+                } else if (line[i] === separator && !quoted) {
+                    cells.push("");
+                } else {
+                    cells[cells.length - 1] += line[i];
+                }
+            }
+            return cells.map((cell) => cell.trim());
+        };
+        const number = (cell) => {
+            let value = cell.replace(/%$/, "").replace(/\s/g, "");
+            if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(value)) {
+                value = value.replace(/,/g, ""); // 1,000.5
+            } else if (/^-?\d+(\.\d{3})*,\d+$/.test(value)) {
+                value = value.replace(/\./g, "").replace(",", "."); // 1.000,5
+            }
+            return Number(value);
+        };
+
+        let columns = ["min", "max", "rate"];
+        const header = rows.length > 0 ? split(rows[0]).map((cell) => cell.toLowerCase()) : [];
+        if (header.some((cell) => cell !== "" && !Number.isFinite(number(cell)))) {
+            columns = header;
+            rows.shift();
+        }
+
+        const fields = { min: "min", max: "max", rate: "rate", cap: "cap", type: "type", bonus: "bonus", caprate: "capRate", zone: "zone" };
+        const bands = rows.map((line, row) => {
+            const band = {};
+            split(line).forEach((cell, column) => {
+                const name = fields[columns[column]];
+                if (name === undefined || cell === "") {
+                    return;
+                }
+                if (name === "type") {
+                    band.type = cell.toLowerCase();
+                    return;
+                }
+                if (name === "zone") {
+                    band.zone = cell;
+                    return;
+                }
+                const value = number(cell);
+                if (!Number.isFinite(value)) {
+                    throw new SyntaxError(`row ${row + 1}: ${name} "${cell}" is not a number`);
+                }
+                band[name] = value;
+            });
+            return band;
+        });
+        return { bands };
+    }
+
+    /**
+     * The pay bands of the plan
+     * @type {Array<PayBand>}
+     */
+    get bands() {
+        return this.#bands;
+    }
+
+    /**
+     * The maximum total payout percentage, undefined if the payout is not capped
+     * @type {number|undefined}
+     */
+    get cap() {
+        return this.#cap;
+    }
+
+    /**
+     * The guaranteed minimum payout percentage, undefined if there is no floor
+     * @type {number|undefined}
+     */
+    get floor() {
+        return this.#floor;
+    }
+
+    /**
+     * The gates of the plan, `hasgate` converted to a gate, with the defaults applied
+     * @type {Array<PayGate>}
+     */
+    get gates() {
+        return this.#gates;
+    }
+
+    /**
+     * The attainment of the second metrics the gates are measured on
+     * @type {Object<string, number>}
+     */
+    get metrics() {
+        return this.#metrics;
+    }
+
+    /**
+     * Find the band containing a given attainment
+     * @param {number} attainment - The attainment percentage
+     * @returns {PayBand|undefined} The band, undefined below the first band
+     */
+    bandAt(attainment) {
+        return this.#bands.findLast((band) => attainment >= band.min);
+    }
+
+    /**
+     * Calculate the payout for a given attainment
+     * @param {number} attainment - The attainment percentage
+     * @param {Object<string, number>} [metrics] - The attainment of the second metrics the gates are measured on,
+     *                                             the plan `metrics` by default
+     * @returns {number} The payout percentage
+     */
+    payoutAt(attainment, metrics = this.#metrics) {
+        return this.#limit(this.#bandPayoutAt(attainment, metrics));
+    }
+
+    /**
+     * Calculate the payout earned in the bands, before the plan cap and floor are applied
+     * @param {number} attainment - The attainment percentage
+     * @param {Object<string, number>} metrics - The attainment of the second metrics
+     * @returns {number} The payout percentage
+     * @private
+     */
+    #bandPayoutAt(attainment, metrics) {
+        const spans = this.#unmetSpans(attainment, metrics);
+        let payout = 0;
+        for (let band of this.#bands) {
+            if (attainment < band.min) {
+                break; // Stop if attainment is below the current band's minimum
+            }
+            // The whole-tier rate replaces the payout of the bands below
+            const earned = this.#bandEarned(band, attainment, spans);
+            payout = band.type === "tier" ? earned : payout + earned;
+        }
+        return payout;
+    }
+
+    /**
+     * Calculate the payout earned inside a band, with the band cap applied
+     *
+     * The step band adds its bonus from the band `min`, the tier band pays its rate on the whole attainment
+     * and the decelerator band pays the `capRate` instead of the band rate above the band cap.
+     *
+     * @param {PayBand} band - The band
+     * @param {number} attainment - The attainment percentage
+     * @param {Array<{from: number, to: number, rate: number}>} spans - The attainment ranges
+     *                                                                  of the gates not met
+     * @returns {number} The payout percentage
+     * @private
+     */
+    #bandEarned(band, attainment, spans) {
+        if (attainment < band.min) {
+            return 0;
+        }
+        const end = band.max ? Math.min(attainment, band.max) : attainment;
+        let earned = band.type === "tier"
+            ? end * this.#rateIn(band, band.min, spans)
+            : this.#linearEarned(band, end, spans) + (band.type === "step" ? band.bonus : 0);
+        if (band.cap === undefined || earned <= band.cap) {
+            return earned;
+        }
+        if (band.type === "decelerator") {
+            // The part above the cap is paid at the reduced rate
+            return band.rate > 0 ? band.cap + (earned - band.cap) * band.capRate / band.rate : earned;
+        }
+        return band.cap;
+    }
+
+    /**
+     * Calculate the payout earned at the band rate from the band `min` to a given attainment
+     * @param {PayBand} band - The band
+     * @param {number} end - The attainment percentage inside the band
+     * @param {Array<{from: number, to: number, rate: number}>} spans - The attainment ranges
+     *                                                                  of the gates not met
+     * @returns {number} The payout percentage
+     * @private
+     */
+    #linearEarned(band, end, spans) {
+        if (end <= band.min) {
+            return 0;
+        }
+        // Split the band at the gate boundaries, the gate rate is paid where the gate is not met
+        const cuts = [band.min, end, ...spans.flatMap((span) => [span.from, span.to])
+            .filter((cut) => cut > band.min && cut < end)]
+            .sort((a, b) => a - b);
+        let earned = 0;
+        for (let index = 1; index < cuts.length; index++) {
+            earned += (cuts[index] - cuts[index - 1]) * this.#rateIn(band, (cuts[index - 1] + cuts[index]) / 2, spans);
+        }
+        return earned;
+    }
+
+    /**
+     * Get the rate paid in a band at a given attainment, the lowest of the band rate and the rates
+     * of the gates not met
+     * @param {PayBand} band - The band
+     * @param {number} attainment - The attainment percentage inside the band
+     * @param {Array<{from: number, to: number, rate: number}>} spans - The attainment ranges
+     *                                                                  of the gates not met
+     * @returns {number} The rate
+     * @private
+     */
+    #rateIn(band, attainment, spans) {
+        return Math.min(band.rate, ...spans
+            .filter((span) => attainment >= span.from && attainment < span.to)
+            .map((span) => span.rate));
+    }
+
+    /**
+     * Get the attainment ranges where the gates are not met
+     * @param {number} attainment - The final attainment percentage
+     * @param {Object<string, number>} metrics - The attainment of the second metrics
+     * @returns {Array<{from: number, to: number, rate: number}>} The ranges with the rate paid while not met
+     * @private
+     */
+    #unmetSpans(attainment, metrics) {
+        return this.#gates.flatMap((gate) => {
+            if (gate.metric !== undefined) {
+                // A gate on a second metric, met if the metric attainment is unknown
+                const value = metrics?.[gate.metric];
+                return value !== undefined && value < gate.threshold
+                    ? [{ from: gate.at, to: Infinity, rate: gate.rate }]
+                    : [];
+            }
+            if (attainment < gate.threshold) {
+                return [{ from: gate.at, to: Infinity, rate: gate.rate }];
+            }
+            // Once met, the retroactive gate pays the band rates for the whole gated range
+            return gate.retroactive ? [] : [{ from: gate.at, to: gate.threshold, rate: gate.rate }];
+        });
+    }
+
+    /**
+     * Apply the plan floor and cap to the payout
+     * @param {number} payout - The payout percentage earned in the bands
+     * @returns {number} The payout percentage within the plan limits
+     * @private
+     */
+    #limit(payout) {
+        if (this.#floor !== undefined) {
+            payout = Math.max(payout, this.#floor);
+        }
+        if (this.#cap !== undefined) {
+            payout = Math.min(payout, this.#cap);
+        }
+        return payout;
+    }
+
+    /**
+     * Get the marginal payout rate at a given attainment - the payout percentage paid
+     * for the next attainment percentage
+     * @param {number} attainment - The attainment percentage
+     * @param {Object<string, number>} [metrics] - The attainment of the second metrics the gates are measured on,
+     *                                             the plan `metrics` by default
+     * @returns {number} The marginal rate, 0 below the first band and where the payout is capped or floored
+     */
+    marginalRate(attainment, metrics = this.#metrics) {
+        const payout = this.#bandPayoutAt(attainment, metrics);
+        if ((this.#cap !== undefined && payout >= this.#cap)
+            || (this.#floor !== undefined && payout < this.#floor)) {
+            return 0;
+        }
+        const band = this.bandAt(attainment);
+        if (!band) {
+            return 0;
+        }
+        const spans = this.#unmetSpans(attainment, metrics);
+        const rate = this.#rateIn(band, attainment, spans);
+        if (band.cap !== undefined && this.#bandEarned(band, attainment, spans) >= band.cap) {
+            return band.type === "decelerator" && band.rate > 0 ? rate * band.capRate / band.rate : 0;
+        }
+        return rate;
+    }
+
+    /**
+     * Calculate the attainment needed to reach a given payout
+     * @param {number} payout - The payout percentage
+     * @param {Object<string, number>} [metrics] - The attainment of the second metrics the gates are measured on,
+     *                                             the plan `metrics` by default
+     * @returns {number} The lowest attainment percentage paying at least the given payout,
+     *                   Infinity if the payout can't be reached
+     */
+    inverse(payout, metrics = this.#metrics) {
+        const attainments = this.breakpoints(metrics).map((point) => point.attainment);
+        return this.#reach((attainment) => this.payoutAt(attainment, metrics), attainments, payout);
+    }
+
+    /**
+     * Find the lowest attainment where a payout function reaches a given level
+     *
+     * The function must be non-decreasing and linear between the given attainments and beyond the last one,
+     * it may jump at the given attainments.
+     *
+     * @param {function(number): number} payoutAt - The payout function
+     * @param {Array<number>} attainments - The attainments where the function changes the slope or jumps
+     * @param {number} level - The payout percentage to reach
+     * @returns {number} The attainment percentage, Infinity if the level can't be reached
+     * @private
+     */
+    #reach(payoutAt, attainments, level) {
+        const cuts = [0, ...attainments.filter((attainment) => attainment > 0)];
+        for (let index = 0; index < cuts.length; index++) {
+            const start = cuts[index];
+            const startPayout = payoutAt(start);
+            if (startPayout >= level) {
+                return start;
+            }
+            const end = cuts[index + 1];
+            if (end === undefined) {
+                // The open-ended tail
+                const rate = payoutAt(start + 1) - startPayout;
+                return rate > 0 ? start + (level - startPayout) / rate : Infinity;
+            }
+            // The payout just below the end of the segment, from the linear payout in the segment
+            const endPayout = 2 * payoutAt((start + end) / 2) - startPayout;
+            if (endPayout >= level && endPayout > startPayout) {
+                return start + (level - startPayout) * (end - start) / (endPayout - startPayout);
+            }
+        }
+        return Infinity;
+    }
+
+    /**
+     * Get the breakpoints of the pay curve - the points where the payout rate changes or the payout jumps
+     * @param {Object<string, number>} [metrics] - The attainment of the second metrics the gates are measured on,
+     *                                             the plan `metrics` by default
+     * @returns {Array<PayPoint>} The points at the band minimums, the gates, where the band caps are reached
+     *                            and where the plan floor and cap apply, sorted by attainment
+     */
+    breakpoints(metrics = this.#metrics) {
+        // The band minimums and the gates
+        let points = [
+            ...this.#bands.map((band) => ({ attainment: band.min, kind: "band" })),
+            ...this.#gates.flatMap((gate) => gate.metric !== undefined
+                ? [{ attainment: gate.at, kind: "gate" }]
+                : [{ attainment: gate.at, kind: "gate" }, { attainment: gate.threshold, kind: "gate" }])
+        ];
+        points = this.#sortPoints(points);
+
+        // Where the band caps are reached, found on the band payout without the cap
+        const capped = this.#bands
+            .filter((band) => band.cap !== undefined)
+            .map((band) => ({
+                band,
+                attainment: this.#reach(
+                    (attainment) => this.#bandEarned({ ...band, cap: undefined }, attainment,
+                        this.#unmetSpans(attainment, metrics)),
+                    points.map((point) => point.attainment),
+                    band.cap)
+            }))
+            .filter(({ band, attainment }) => attainment > band.min && (band.max === undefined || attainment < band.max))
+            .map(({ attainment }) => ({ attainment, kind: "band-cap" }));
+        points = this.#sortPoints([...points, ...capped]);
+
+        // Where the payout earned in the bands crosses the plan floor and cap
+        const bandPayoutAt = (attainment) => this.#bandPayoutAt(attainment, metrics);
+        const attainments = points.map((point) => point.attainment);
+        const limits = [];
+        if (this.#floor !== undefined && bandPayoutAt(0) < this.#floor) {
+            limits.push({ attainment: this.#reach(bandPayoutAt, attainments, this.#floor), kind: "floor" });
+        }
+        if (this.#cap !== undefined) {
+            limits.push({ attainment: this.#reach(bandPayoutAt, attainments, this.#cap), kind: "cap" });
+        }
+        points = this.#sortPoints([...points, ...limits.filter((point) => Number.isFinite(point.attainment))]);
+
+        return points.map((point, index) => {
+            const result = {
+                attainment: point.attainment,
+                payout: this.payoutAt(point.attainment, metrics),
+                kind: point.kind
+            };
+            // The payout just below the point, from the linear payout in the previous segment
+            const previous = points[index - 1]?.attainment;
+            if (previous !== undefined) {
+                const start = this.payoutAt(previous, metrics);
+                const before = 2 * this.payoutAt((previous + point.attainment) / 2, metrics) - start;
+                if (Math.abs(before - result.payout) > 1e-9) {
+                    result.before = before;
+                }
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Sort the breakpoints by attainment and keep one breakpoint per attainment
+     * @param {Array<PayPoint>} points - The breakpoints
+     * @returns {Array<PayPoint>} The sorted breakpoints, the limits take precedence over the bands and gates
+     * @private
+     */
+    #sortPoints(points) {
+        const precedence = ["cap", "floor", "band-cap", "gate", "band"];
+        return points
+            .sort((a, b) => a.attainment - b.attainment || precedence.indexOf(a.kind) - precedence.indexOf(b.kind))
+            .filter((point, index, sorted) => index === 0 || point.attainment !== sorted[index - 1].attainment);
+    }
+}